@@ -9,66 +9,71 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const chalk = require('chalk');
+const { parseArgs } = require('../lib/cli-args');
+const { resolveLocale, createTranslator } = require('../lib/i18n');
+const { findConfigFile } = require('../lib/config-loader');
 
 const PROJECT_ROOT = process.cwd();
+// 支持 --locale 参数，未指定时根据 LANG 环境变量识别
+const t = createTranslator(resolveLocale(parseArgs(process.argv.slice(2)).options.locale));
 
-console.log(chalk.blue('\n🔍 正在诊断 pre-commit-check 配置...\n'));
+console.log(chalk.blue(t('diagnose.start')));
 
 let hasError = false;
 
 // 1. 检查是否是 Git 仓库
-console.log(chalk.blue('1. 检查 Git 仓库...'));
+console.log(chalk.blue(t('diagnose.git')));
 try {
   execSync('git rev-parse --git-dir', { stdio: 'ignore', cwd: PROJECT_ROOT });
-  console.log(chalk.green('   ✓ 是 Git 仓库'));
+  console.log(chalk.green(t('diagnose.git.ok')));
 } catch (e) {
-  console.log(chalk.red('   ✗ 不是 Git 仓库'));
-  console.log(chalk.yellow('   💡 请先执行: git init'));
+  console.log(chalk.red(t('diagnose.git.missing')));
+  console.log(chalk.yellow(t('diagnose.git.hint')));
   hasError = true;
 }
 
 // 2. 检查 husky 是否安装
-console.log(chalk.blue('\n2. 检查 husky...'));
+console.log(chalk.blue(t('diagnose.husky')));
 const huskyDir = path.join(PROJECT_ROOT, '.husky');
 if (fs.existsSync(huskyDir)) {
-  console.log(chalk.green('   ✓ .husky 目录存在'));
+  console.log(chalk.green(t('diagnose.husky.ok')));
 } else {
-  console.log(chalk.red('   ✗ .husky 目录不存在'));
-  console.log(chalk.yellow('   💡 请执行: npx husky install'));
+  console.log(chalk.red(t('diagnose.husky.missing')));
+  console.log(chalk.yellow(t('diagnose.husky.hint')));
   hasError = true;
 }
 
 // 3. 检查 pre-commit hook 是否存在
-console.log(chalk.blue('\n3. 检查 pre-commit hook...'));
+console.log(chalk.blue(t('diagnose.hook')));
 const preCommitHook = path.join(huskyDir, 'pre-commit');
 if (fs.existsSync(preCommitHook)) {
-  console.log(chalk.green('   ✓ pre-commit hook 文件存在'));
+  console.log(chalk.green(t('diagnose.hook.ok')));
   const hookContent = fs.readFileSync(preCommitHook, 'utf-8');
   if (hookContent.includes('pre-commit-check')) {
-    console.log(chalk.green('   ✓ hook 中包含 pre-commit-check 命令'));
+    console.log(chalk.green(t('diagnose.hook.command')));
   } else {
-    console.log(chalk.red('   ✗ hook 中不包含 pre-commit-check 命令'));
-    console.log(chalk.yellow('   💡 请执行: npm run prepare'));
+    console.log(chalk.red(t('diagnose.hook.noCommand')));
+    console.log(chalk.yellow(t('diagnose.prepareHint')));
     hasError = true;
   }
 } else {
-  console.log(chalk.red('   ✗ pre-commit hook 文件不存在'));
-  console.log(chalk.yellow('   💡 请执行: npm run prepare'));
+  console.log(chalk.red(t('diagnose.hook.missing')));
+  console.log(chalk.yellow(t('diagnose.prepareHint')));
   hasError = true;
 }
 
 // 4. 检查配置文件
-console.log(chalk.blue('\n4. 检查配置文件...'));
-const configPath = path.join(PROJECT_ROOT, 'commit-check.config.js');
-if (fs.existsSync(configPath)) {
-  console.log(chalk.green('   ✓ commit-check.config.js 存在'));
+console.log(chalk.blue(t('diagnose.config')));
+const configPath = findConfigFile(PROJECT_ROOT);
+if (configPath) {
+  console.log(chalk.green(t('diagnose.config.ok', { file: path.relative(PROJECT_ROOT, configPath) || configPath })));
 } else {
-  console.log(chalk.yellow('   ⚠  commit-check.config.js 不存在'));
-  console.log(chalk.yellow('   💡 将使用默认配置，或执行: npm run prepare'));
+  console.log(chalk.yellow(t('diagnose.config.missing')));
+  console.log(chalk.yellow(t('diagnose.config.hint')));
 }
 
 // 5. 检查包是否安装
-console.log(chalk.blue('\n5. 检查包安装...'));
+console.log(chalk.blue(t('diagnose.packages')));
 const packageJsonPath = path.join(PROJECT_ROOT, 'package.json');
 if (fs.existsSync(packageJsonPath)) {
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
@@ -78,56 +83,56 @@ if (fs.existsSync(packageJsonPath)) {
   };
   
   if (allDeps['prina-pre-commit-check']) {
-    console.log(chalk.green(`   ✓ prina-pre-commit-check 已安装 (${allDeps['prina-pre-commit-check']})`));
+    console.log(chalk.green(t('diagnose.package.ok', { name: 'prina-pre-commit-check', version: allDeps['prina-pre-commit-check'] })));
   } else {
-    console.log(chalk.red('   ✗ prina-pre-commit-check 未安装'));
-    console.log(chalk.yellow('   💡 请执行: npm install prina-pre-commit-check --save-dev'));
+    console.log(chalk.red(t('diagnose.package.missing', { name: 'prina-pre-commit-check' })));
+    console.log(chalk.yellow(t('diagnose.package.hint', { name: 'prina-pre-commit-check' })));
     hasError = true;
   }
   
   if (allDeps['husky']) {
-    console.log(chalk.green(`   ✓ husky 已安装 (${allDeps['husky']})`));
+    console.log(chalk.green(t('diagnose.package.ok', { name: 'husky', version: allDeps['husky'] })));
   } else {
-    console.log(chalk.yellow('   ⚠  husky 未在 package.json 中，但可能已全局安装'));
+    console.log(chalk.yellow(t('diagnose.husky.global')));
   }
 } else {
-  console.log(chalk.red('   ✗ package.json 不存在'));
+  console.log(chalk.red(t('diagnose.packageJson.missing')));
   hasError = true;
 }
 
 // 6. 测试命令是否可用
-console.log(chalk.blue('\n6. 测试命令可用性...'));
+console.log(chalk.blue(t('diagnose.command')));
 try {
   execSync('npx pre-commit-check --version 2>&1', { stdio: 'pipe', cwd: PROJECT_ROOT });
-  console.log(chalk.green('   ✓ pre-commit-check 命令可用'));
+  console.log(chalk.green(t('diagnose.command.ok')));
 } catch (e) {
   try {
     const output = e.output.toString();
     if (output.includes('pre-commit-check')) {
-      console.log(chalk.green('   ✓ pre-commit-check 命令可用'));
+      console.log(chalk.green(t('diagnose.command.ok')));
     } else {
       throw e;
     }
   } catch (e2) {
-    console.log(chalk.yellow('   ⚠  无法测试命令，但可能正常'));
+    console.log(chalk.yellow(t('diagnose.command.unknown')));
   }
 }
 
 // 总结
 console.log(chalk.blue('\n' + '='.repeat(50)));
 if (hasError) {
-  console.log(chalk.red('\n❌ 发现问题，请根据上述提示修复'));
-  console.log(chalk.yellow('\n💡 快速修复命令：'));
+  console.log(chalk.red(t('diagnose.failed')));
+  console.log(chalk.yellow(t('diagnose.quickFix')));
   console.log(chalk.white('   npm run prepare'));
-  console.log(chalk.white('   或'));
+  console.log(chalk.white(t('diagnose.or')));
   console.log(chalk.white('   npx husky install'));
   console.log(chalk.white('   node node_modules/prina-pre-commit-check/bin/install.js'));
 } else {
-  console.log(chalk.green('\n✅ 配置正常！'));
-  console.log(chalk.blue('\n💡 如果 commit 时仍未触发检查，请尝试：'));
-  console.log(chalk.white('   1. 确保文件已添加到暂存区: git add .'));
-  console.log(chalk.white('   2. 查看 .husky/pre-commit 文件内容'));
-  console.log(chalk.white('   3. 手动执行: npx pre-commit-check'));
+  console.log(chalk.green(t('diagnose.ok')));
+  console.log(chalk.blue(t('diagnose.troubleshoot')));
+  console.log(chalk.white(t('diagnose.troubleshoot1')));
+  console.log(chalk.white(t('diagnose.troubleshoot2')));
+  console.log(chalk.white(t('diagnose.troubleshoot3')));
 }
 console.log('');
 
@@ -9,13 +9,14 @@
 
 const path = require('path');
 const fs = require('fs');
+const { resolveLocale, createTranslator } = require('../lib/i18n');
 
 // 尝试加载安装脚本
 const installScriptPath = path.join(__dirname, 'install.js');
 if (fs.existsSync(installScriptPath)) {
   require(installScriptPath);
 } else {
-  console.error('无法找到安装脚本');
+  console.error(createTranslator(resolveLocale())('cli.installScriptNotFound'));
   process.exit(1);
 }
 
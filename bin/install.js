@@ -13,8 +13,13 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const chalk = require('chalk');
+const { parseArgs } = require('../lib/cli-args');
+const { resolveLocale, createTranslator } = require('../lib/i18n');
+const { CONFIG_FILE_NAME, findConfigFile } = require('../lib/config-loader');
 
 const PROJECT_ROOT = process.cwd();
+// 支持 --locale 参数，未指定时根据 LANG 环境变量识别
+const t = createTranslator(resolveLocale(parseArgs(process.argv.slice(2)).options.locale));
 // 获取包根目录：优先从 node_modules 中查找，否则使用当前目录
 let PACKAGE_ROOT = __dirname.replace(/[\\/]bin$/, '');
 // 如果当前不在 node_modules 中，尝试查找 node_modules/prina-pre-commit-check
@@ -53,7 +58,7 @@ function isGitRepo() {
  */
 function installHusky() {
   try {
-    console.log(chalk.blue('📦 正在安装 husky...'));
+    console.log(chalk.blue(t('install.installingHusky')));
     
     // 检查 husky 是否已安装
     const packageJsonPath = path.join(PROJECT_ROOT, 'package.json');
@@ -67,21 +72,21 @@ function installHusky() {
       };
       if (allDeps['husky']) {
         needsHusky = false;
-        console.log(chalk.blue('   husky 已在 package.json 中'));
+        console.log(chalk.blue(t('install.huskyInPackageJson')));
       }
     }
     
     // 尝试安装 husky
     execSync('npx husky install', { stdio: 'inherit', cwd: PROJECT_ROOT });
-    console.log(chalk.green('✓ Husky 安装成功'));
+    console.log(chalk.green(t('install.huskyInstalled')));
     
     // 如果 husky 不在 package.json 中，建议添加
     if (needsHusky) {
-      console.log(chalk.yellow('💡 建议将 husky 添加到 devDependencies: npm install husky --save-dev'));
+      console.log(chalk.yellow(t('install.addHuskyHint')));
     }
   } catch (e) {
-    console.warn(chalk.yellow('⚠️  Husky 安装失败，请手动执行: npx husky install'));
-    console.warn(chalk.yellow('   如果 husky 未安装，请先执行: npm install husky --save-dev'));
+    console.warn(chalk.yellow(t('install.huskyFailed')));
+    console.warn(chalk.yellow(t('install.huskyMissingHint')));
   }
 }
 
@@ -107,7 +112,7 @@ function createPreCommitHook() {
   const checkCommand = 'npx pre-commit-check';
   const checkCommandAlt = 'pre-commit-check'; // 兼容不带 npx 的情况
   if (hookContent.includes(checkCommand) || hookContent.includes(checkCommandAlt)) {
-    console.log(chalk.green('✓ Pre-commit hook 已配置'));
+    console.log(chalk.green(t('install.hookExists')));
     return;
   }
 
@@ -142,22 +147,35 @@ ${checkCommand}
     }
   }
 
-  console.log(chalk.green('✓ Pre-commit hook 配置成功'));
+  console.log(chalk.green(t('install.hookCreated')));
+}
+
+/**
+ * 判断项目是否为 ES 模块项目（package.json 中 "type": "module"）
+ */
+function isModuleProject() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, 'package.json'), 'utf-8')).type === 'module';
+  } catch (e) {
+    return false;
+  }
 }
 
 /**
  * 复制配置文件（如果不存在）
+ *
+ * 默认配置是 CommonJS 模块，ES 模块项目中复制为 .cjs 文件
  */
 function copyConfigFile() {
-  const configPath = path.join(PROJECT_ROOT, 'commit-check.config.js');
-  const defaultConfigPath = path.join(PACKAGE_ROOT, 'commit-check.config.js');
-
-  if (!fs.existsSync(configPath) && fs.existsSync(defaultConfigPath)) {
-    fs.copyFileSync(defaultConfigPath, configPath);
-    console.log(chalk.green('✓ 已创建默认配置文件 commit-check.config.js'));
-    console.log(chalk.yellow('💡 请根据项目需求修改配置文件'));
-  } else if (fs.existsSync(configPath)) {
-    console.log(chalk.blue('ℹ  配置文件已存在，跳过复制'));
+  const defaultConfigPath = path.join(PACKAGE_ROOT, CONFIG_FILE_NAME);
+  const configFileName = isModuleProject() ? CONFIG_FILE_NAME.replace(/\.js$/, '.cjs') : CONFIG_FILE_NAME;
+
+  if (findConfigFile(PROJECT_ROOT)) {
+    console.log(chalk.blue(t('install.configExists')));
+  } else if (fs.existsSync(defaultConfigPath)) {
+    fs.copyFileSync(defaultConfigPath, path.join(PROJECT_ROOT, configFileName));
+    console.log(chalk.green(t('install.configCreated', { file: configFileName })));
+    console.log(chalk.yellow(t('install.configEditHint')));
   }
 }
 
@@ -165,12 +183,12 @@ function copyConfigFile() {
  * 主安装流程
  */
 function main() {
-  console.log(chalk.blue('\n🚀 正在配置 pre-commit-check...\n'));
+  console.log(chalk.blue(t('install.start')));
 
   // 检查是否是 Git 仓库
   if (!isGitRepo()) {
-    console.warn(chalk.yellow('⚠️  当前目录不是 Git 仓库，跳过 Git hook 配置'));
-    console.log(chalk.blue('💡 请先执行 git init 初始化仓库'));
+    console.warn(chalk.yellow(t('install.notGitRepo')));
+    console.log(chalk.blue(t('install.gitInitHint')));
     return;
   }
 
@@ -183,10 +201,10 @@ function main() {
   // 复制配置文件
   copyConfigFile();
 
-  console.log(chalk.green('\n✅ Pre-commit-check 配置完成！\n'));
-  console.log(chalk.blue('📝 下一步：'));
-  console.log(chalk.white('   1. 根据需要修改 commit-check.config.js 配置文件'));
-  console.log(chalk.white('   2. 执行 git commit 时会自动触发代码检查\n'));
+  console.log(chalk.green(t('install.done')));
+  console.log(chalk.blue(t('install.nextSteps')));
+  console.log(chalk.white(t('install.nextStep1')));
+  console.log(chalk.white(t('install.nextStep2')));
 }
 
 // 执行安装
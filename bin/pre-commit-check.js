@@ -4,27 +4,94 @@
  * Pre-commit Check CLI 入口文件
  * 
  * 此文件作为 npm 包的 bin 入口，可以直接执行检查逻辑
+ *
+ * 退出码：0 检查通过，1 存在 error 级别的问题，2 配置或参数错误，3 检查工具内部错误（见 lib/exit-codes.js）
  */
 
 const path = require('path');
 const fs = require('fs');
 
+const { parseArgs } = require('../lib/cli-args');
+const { EXIT_CODES } = require('../lib/exit-codes');
+const { SUPPORTED_LOCALES, normalizeLocale, resolveLocale, createTranslator } = require('../lib/i18n');
+
+let cli;
+try {
+  cli = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(EXIT_CODES.CONFIG_ERROR);
+}
+
+const { positionals, options } = cli;
+
+if (options.locale && !normalizeLocale(options.locale)) {
+  console.error(`❌ ${createTranslator(resolveLocale())('cli.unsupportedLocale', { locale: options.locale, locales: SUPPORTED_LOCALES.join(', ') })}`);
+  process.exit(EXIT_CODES.CONFIG_ERROR);
+}
+const t = createTranslator(resolveLocale(options.locale));
+
+/**
+ * 将命令行参数转换为检查选项
+ */
+function getCheckOptions() {
+  return {
+    configFile: options.config,
+    contentSource: options.worktree ? 'worktree' : 'index',
+    onlyChangedLines: options.onlyChangedLines || undefined,
+    from: options.from,
+    to: options.to,
+    all: Boolean(options.all),
+    filePattern: options.files,
+    workers: options.workers,
+    cache: !options.noCache,
+    cacheLocation: options.cacheLocation,
+    clearCache: Boolean(options.clearCache),
+    format: options.format,
+    outputFile: options.outputFile,
+    locale: options.locale,
+    groupBy: options.groupBy,
+    linkTemplate: options.linkTemplate,
+    quiet: Boolean(options.quiet),
+    failOnInternalError: options.failOnInternalError || undefined
+  };
+}
+
+/**
+ * 检查过程中未处理的异常视为检查工具内部错误
+ */
+function exitOnCrash(error) {
+  console.error(`❌ ${t('cli.crashed', { error: error && error.stack ? error.stack : error })}`);
+  process.exit(EXIT_CODES.INTERNAL_ERROR);
+}
+
 // 检查是否是初始化命令
-const args = process.argv.slice(2);
-if (args.includes('--init') || args.includes('init')) {
+if (options.init || positionals.includes('init')) {
   // 执行初始化
   const installScriptPath = path.join(__dirname, 'install.js');
   if (fs.existsSync(installScriptPath)) {
     require(installScriptPath);
     process.exit(0);
   } else {
-    console.error('❌ 无法找到安装脚本');
-    process.exit(1);
+    console.error(`❌ ${t('cli.installScriptNotFound')}`);
+    process.exit(EXIT_CODES.INTERNAL_ERROR);
   }
+} else if (positionals[0] === 'baseline') {
+  // 生成基线文件
+  const { updateBaseline } = require('../commit-check-core.js');
+  const { configFile, contentSource, workers, locale } = getCheckOptions();
+  updateBaseline({ configFile, contentSource, workers, locale }).then(success => {
+    process.exit(success ? EXIT_CODES.SUCCESS : EXIT_CODES.CONFIG_ERROR);
+  }, exitOnCrash);
 } else {
   // 执行检查
-  const { runChecks } = require('../commit-check-core.js');
-  const success = runChecks();
-  process.exit(success ? 0 : 1);
-}
+  if (options.to && !options.from) {
+    console.error(`❌ ${t('cli.toWithoutFrom')}`);
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
 
+  const { runChecksWithExitCode } = require('../commit-check-core.js');
+  runChecksWithExitCode(getCheckOptions()).then(exitCode => {
+    process.exit(exitCode);
+  }, exitOnCrash);
+}
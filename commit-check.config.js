@@ -3,11 +3,19 @@
  * 
  * 配置说明：
  * - enabled: 是否启用该规则检查（true/false）
+ * - severity: 问题级别，'error'（阻止提交，默认）| 'warn'（仅提示，不阻止提交）| 'off'（关闭），
+ *   也可按问题类型分别设置，例如 rule1: { severity: { default: 'error', debounceDelay: 'warn' } }
  * - whitelist: 白名单配置，匹配到的文件/路径/关键词将跳过对应规则检查
  * - customKeywords: 自定义关键词配置，用于识别项目特定的方法名、组件名等
+ *
+ * 未填写的配置项使用默认值；数组配置项可以写作 { $append: [...] }，在默认列表之后追加，
+ * 例如 requestMethods: { $append: ['myRequest'] }
  */
 
 module.exports = {
+  // 使用内置预设或共享配置（extends）时，本文件中的配置最后合并，其中的数组会整体替换预设中的列表；
+  // 本文件列出了全部默认值，因此需要另写一个只包含 extends 与需要修改的配置项的配置文件，见 README「共享配置与预设」
+
   // 规则1：新增按钮接口调用防重复提交检查
   rule1: {
     enabled: true,
@@ -97,12 +105,38 @@ module.exports = {
     }
   },
 
+  // 按路径覆盖规则配置：files 中的 glob 相对于本配置文件所在目录，匹配的配置块按顺序合并
+  // overrides: [
+  //   { files: ['src/h5/**'], rule5: { customKeywords: { inputComponents: ['van-field'] } } }
+  // ],
+
+  // 自定义规则：本地路径（相对于本配置文件）或 npm 包名
+  // 规则模块需导出 meta（id、name、docs、defaultOptions）和 check(context)，
+  // 规则配置写在与 meta.id 同名的配置项中，例如 myRule: { enabled: true }
+  customRules: [],
+
   // 全局配置
   global: {
     // 需要检查的文件后缀
     fileExtensions: ['.html', '.js', '.ts', '.vue', '.jsx', '.tsx'],
     // 忽略的文件/目录（支持 glob 模式）
-    ignore: ['node_modules/**', 'dist/**', 'build/**', '*.min.js']
+    ignore: ['node_modules/**', 'dist/**', 'build/**', '*.min.js'],
+    // 行内禁用注释：没有匹配到任何问题的禁用注释的报告级别（'error' | 'warn' | 'off'）
+    suppressions: {
+      reportUnused: 'warn'
+    },
+    // 并行检查的线程数，默认为 CPU 核数；文件较少时不会启动多线程（命令行可使用 --workers 指定）
+    // workers: 4,
+    // 只报告位于本次新增/修改行上的问题（命令行可使用 --only-changed-lines 临时开启）
+    onlyChangedLines: false,
+    // 基线文件（相对项目根目录），通过 pre-commit-check baseline 生成
+    baselineFile: 'commit-check-baseline.json',
+    // 检查工具内部错误（如规则执行出错）时阻止提交，退出码为 3（命令行可使用 --fail-on-internal-error 临时开启）
+    failOnInternalError: false,
+    // 输出格式中问题位置的链接模板（如 --format markdown），支持 {repo}、{sha}、{path}、{line} 占位符（命令行可使用 --link-template 指定）
+    // linkTemplate: 'https://gitlab.example.com/{repo}/-/blob/{sha}/{path}#L{line}',
+    // 提示语言（'zh-CN' | 'en-US'），默认根据 LANG 环境变量识别，无法识别时使用中文（命令行可使用 --locale 指定）
+    // locale: 'zh-CN'
   }
 };
 
@@ -0,0 +1,296 @@
+/**
+ * AST 工具函数
+ *
+ * 供各检查规则共享的 AST 辅助方法
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+
+/**
+ * AST工具函数：安全地检查代码模式，避免匹配到注释、字符串等
+ */
+const ASTUtils = {
+  /**
+   * 移除代码中的注释和字符串，返回纯代码文本
+   */
+  removeCommentsAndStrings(code) {
+    let result = '';
+    let inSingleQuote = false;
+    let inDoubleQuote = false;
+    let inTemplate = false;
+    let inSingleComment = false;
+    let inMultiComment = false;
+    let i = 0;
+    
+    while (i < code.length) {
+      const char = code[i];
+      const prevChar = i > 0 ? code[i - 1] : '';
+      const nextChar = i < code.length - 1 ? code[i + 1] : '';
+      
+      // 处理字符串
+      if (!inSingleComment && !inMultiComment) {
+        if (char === "'" && prevChar !== '\\' && !inDoubleQuote && !inTemplate) {
+          inSingleQuote = !inSingleQuote;
+          result += ' '; // 替换引号为空格
+          i++;
+          continue;
+        } else if (char === '"' && prevChar !== '\\' && !inSingleQuote && !inTemplate) {
+          inDoubleQuote = !inDoubleQuote;
+          result += ' '; // 替换引号为空格
+          i++;
+          continue;
+        } else if (char === '`' && prevChar !== '\\' && !inSingleQuote && !inDoubleQuote) {
+          inTemplate = !inTemplate;
+          result += ' '; // 替换反引号为空格
+          i++;
+          continue;
+        }
+      }
+      
+      // 处理注释
+      if (!inSingleQuote && !inDoubleQuote && !inTemplate) {
+        if (char === '/' && nextChar === '/' && !inMultiComment) {
+          inSingleComment = true;
+          result += ' '; // 替换注释开始为空格
+          i++;
+          continue;
+        } else if (char === '/' && nextChar === '*' && !inSingleComment) {
+          inMultiComment = true;
+          result += ' '; // 替换注释开始为空格
+          i += 2; // 跳过 /*
+          continue;
+        } else if (char === '*' && nextChar === '/' && inMultiComment) {
+          inMultiComment = false;
+          result += ' '; // 替换注释结束为空格
+          i += 2; // 跳过 */
+          continue;
+        } else if (char === '\n' && inSingleComment) {
+          inSingleComment = false;
+          result += '\n';
+          i++;
+          continue;
+        }
+      }
+      
+      // 如果在注释或字符串中，替换为空格
+      if (inSingleComment || inMultiComment || inSingleQuote || inDoubleQuote || inTemplate) {
+        result += ' ';
+      } else {
+        result += char;
+      }
+      
+      i++;
+    }
+    
+    return result;
+  },
+
+  /**
+   * 获取方法名（辅助函数）
+   */
+  getMethodName(callee) {
+    if (t.isIdentifier(callee)) {
+      return callee.name;
+    } else if (t.isMemberExpression(callee)) {
+      const object = this.getMethodName(callee.object);
+      const property = this.getMethodName(callee.property);
+      return `${object}.${property}`;
+    } else if (t.isCallExpression(callee)) {
+      return this.getMethodName(callee.callee) + '()';
+    }
+    return '';
+  },
+
+  /**
+   * 使用AST检查代码中是否包含某个模式（避免匹配注释和字符串）
+   */
+  checkPatternInAST(ast, pattern) {
+    if (!ast) return false;
+    
+    const self = this;
+    let found = false;
+    traverse(ast, {
+      // 检查标识符
+      Identifier(path) {
+        if (pattern.test(path.node.name)) {
+          found = true;
+          path.stop();
+        }
+      },
+      // 检查字符串字面量（但排除注释）
+      StringLiteral(path) {
+        if (pattern.test(path.node.value)) {
+          found = true;
+          path.stop();
+        }
+      },
+      // 检查模板字面量
+      TemplateLiteral(path) {
+        path.node.quasis.forEach(quasi => {
+          if (pattern.test(quasi.value.raw)) {
+            found = true;
+            path.stop();
+          }
+        });
+      },
+      // 检查成员表达式（如 .map(, .length）
+      MemberExpression(path) {
+        if (t.isIdentifier(path.node.property)) {
+          if (pattern.test(path.node.property.name)) {
+            found = true;
+            path.stop();
+          }
+        }
+      },
+      // 检查调用表达式
+      CallExpression(path) {
+        const methodName = self.getMethodName(path.node.callee);
+        if (pattern.test(methodName)) {
+          found = true;
+          path.stop();
+        }
+      }
+    });
+    
+    return found;
+  },
+
+  /**
+   * 检查代码中是否包含某个关键词（使用AST，避免匹配注释和字符串）
+   */
+  hasKeyword(ast, content, keywords) {
+    if (!ast && !content) return false;
+    
+    // 如果有关键词数组，检查每个关键词
+    if (Array.isArray(keywords)) {
+      return keywords.some(keyword => this.hasKeyword(ast, content, keyword));
+    }
+    
+    const keyword = keywords;
+    const pattern = new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    
+    // 优先使用AST检查（排除字符串字面量）
+    if (ast) {
+      const self = this;
+      let found = false;
+      traverse(ast, {
+        // 检查标识符（变量名、函数名等）
+        Identifier(path) {
+          if (pattern.test(path.node.name)) {
+            found = true;
+            path.stop();
+          }
+        },
+        // 检查成员表达式的属性名（如 .map, .length）
+        MemberExpression(path) {
+          if (t.isIdentifier(path.node.property)) {
+            if (pattern.test(path.node.property.name)) {
+              found = true;
+              path.stop();
+            }
+          }
+        },
+        // 检查调用表达式的方法名
+        CallExpression(path) {
+          const methodName = self.getMethodName(path.node.callee);
+          if (pattern.test(methodName)) {
+            found = true;
+            path.stop();
+          }
+        },
+        // 跳过字符串字面量和模板字面量（避免匹配字符串内容）
+        StringLiteral(path) {
+          // 不检查字符串内容
+        },
+        TemplateLiteral(path) {
+          // 不检查模板字符串内容
+        }
+      });
+      if (found) return true;
+    }
+    
+    // 回退到字符串检查（但移除注释和字符串）
+    if (content) {
+      const cleanContent = this.removeCommentsAndStrings(content);
+      return pattern.test(cleanContent);
+    }
+    
+    return false;
+  },
+
+  /**
+   * 检查代码中是否包含某个方法调用（使用AST）
+   */
+  hasMethodCall(ast, methodName) {
+    if (!ast) return false;
+    
+    const self = this;
+    let found = false;
+    const methodNameLower = methodName.toLowerCase();
+    
+    traverse(ast, {
+      CallExpression(path) {
+        const method = self.getMethodName(path.node.callee);
+        if (method.toLowerCase().includes(methodNameLower)) {
+          found = true;
+          path.stop();
+        }
+      }
+    });
+    
+    return found;
+  },
+
+  /**
+   * 检查代码中是否包含某个JSX组件（使用AST）
+   */
+  hasJSXComponent(ast, componentName) {
+    if (!ast) return false;
+    
+    let found = false;
+    
+    traverse(ast, {
+      JSXOpeningElement(path) {
+        const elementName = path.node.name;
+        let name = '';
+        
+        if (t.isJSXIdentifier(elementName)) {
+          name = elementName.name;
+        } else if (t.isJSXMemberExpression(elementName)) {
+          const object = elementName.object;
+          const property = elementName.property;
+          if (t.isJSXIdentifier(object) && t.isJSXIdentifier(property)) {
+            name = `${object.name}.${property.name}`;
+          }
+        }
+        
+        if (name === componentName || name.toLowerCase() === componentName.toLowerCase()) {
+          found = true;
+          path.stop();
+        }
+      }
+    });
+    
+    return found;
+  }
+};
+
+/**
+ * 获取方法名
+ */
+function getMethodName(callee) {
+  if (t.isIdentifier(callee)) {
+    return callee.name;
+  } else if (t.isMemberExpression(callee)) {
+    const object = t.isIdentifier(callee.object) ? callee.object.name :
+      t.isMemberExpression(callee.object) ? getMethodName(callee.object) : '';
+    const property = t.isIdentifier(callee.property) ? callee.property.name : '';
+    return `${object}.${property}`;
+  } else if (t.isCallExpression(callee)) {
+    return getMethodName(callee.callee);
+  }
+  return '';
+}
+
+module.exports = { ASTUtils, getMethodName };
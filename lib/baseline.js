@@ -0,0 +1,144 @@
+/**
+ * 基线文件
+ *
+ * 旧项目接入时，先执行 pre-commit-check baseline 记录现有问题，之后的检查只报告基线之外的新问题。
+ * 基线记录按「规则 + 文件 + 代码指纹」匹配，不依赖行号，代码上下移动不影响匹配。
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { ConfigError } = require('./config-loader');
+
+const BASELINE_VERSION = 1;
+const DEFAULT_BASELINE_FILE = 'commit-check-baseline.json';
+
+/**
+ * 计算问题的代码指纹：由规则、问题类型和问题所在行的代码（忽略空白差异）计算得出
+ *
+ * @param {object} finding - 检查结果
+ * @param {string[]} lines - 文件内容按行拆分后的数组
+ */
+function getFingerprint(finding, lines) {
+  const code = (lines[finding.line - 1] || '').replace(/\s+/g, ' ').trim();
+  return crypto
+    .createHash('sha1')
+    .update(`${finding.rule}\n${finding.type || ''}\n${code}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * 读取基线文件，文件不存在时返回 null
+ *
+ * @param {string} baselinePath - 基线文件的绝对路径
+ * @param {Function} t - 翻译函数，用于错误提示
+ */
+function loadBaseline(baselinePath, t) {
+  if (!fs.existsSync(baselinePath)) {
+    return null;
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+  } catch (e) {
+    throw new ConfigError(t('baseline.invalidJson', { file: baselinePath, error: e.message }));
+  }
+
+  if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.entries)) {
+    throw new ConfigError(t('baseline.invalidFormat', { file: baselinePath }));
+  }
+
+  return baseline;
+}
+
+/**
+ * 根据检查结果生成基线内容，相同指纹的问题合并计数
+ */
+function createBaseline(findings) {
+  const entries = new Map();
+
+  for (const finding of findings) {
+    const key = `${finding.file}\n${finding.rule}\n${finding.fingerprint}`;
+    const entry = entries.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      entries.set(key, {
+        file: finding.file,
+        rule: finding.rule,
+        type: finding.type,
+        fingerprint: finding.fingerprint,
+        count: 1,
+        message: finding.message
+      });
+    }
+  }
+
+  const sorted = Array.from(entries.values()).sort((a, b) =>
+    a.file.localeCompare(b.file) || a.rule.localeCompare(b.rule) || a.fingerprint.localeCompare(b.fingerprint)
+  );
+
+  return { version: BASELINE_VERSION, entries: sorted };
+}
+
+/**
+ * 写入基线文件
+ */
+function writeBaseline(baselinePath, findings) {
+  const baseline = createBaseline(findings);
+  fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+  return baseline;
+}
+
+/**
+ * 过滤单个文件中已记录在基线中的问题
+ *
+ * @returns {{ findings: object[], baselined: object[], fixed: object[] }}
+ *   findings 为基线之外的问题，baselined 为被基线忽略的问题，fixed 为本次未再出现的基线记录
+ */
+function applyBaseline(findings, baseline, file) {
+  if (!baseline) {
+    return { findings, baselined: [], fixed: [] };
+  }
+
+  const remainingCounts = new Map();
+  for (const entry of baseline.entries) {
+    if (entry.file === file) {
+      const key = `${entry.rule}\n${entry.fingerprint}`;
+      remainingCounts.set(key, (remainingCounts.get(key) || 0) + entry.count);
+    }
+  }
+
+  const kept = [];
+  const baselined = [];
+  for (const finding of findings) {
+    const key = `${finding.rule}\n${finding.fingerprint}`;
+    const count = remainingCounts.get(key) || 0;
+    if (count > 0) {
+      remainingCounts.set(key, count - 1);
+      baselined.push(finding);
+    } else {
+      kept.push(finding);
+    }
+  }
+
+  const fixed = baseline.entries
+    .filter(entry => entry.file === file && remainingCounts.get(`${entry.rule}\n${entry.fingerprint}`) > 0)
+    .map(entry => {
+      const key = `${entry.rule}\n${entry.fingerprint}`;
+      const count = Math.min(entry.count, remainingCounts.get(key));
+      remainingCounts.set(key, remainingCounts.get(key) - count);
+      return { ...entry, count };
+    });
+
+  return { findings: kept, baselined, fixed };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_FILE,
+  getFingerprint,
+  loadBaseline,
+  writeBaseline,
+  applyBaseline
+};
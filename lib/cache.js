@@ -0,0 +1,125 @@
+/**
+ * 检查结果缓存
+ *
+ * 按文件缓存检查结果，缓存键由文件内容（Git blob 哈希）、diff、工具版本和生效配置共同决定，
+ * 任一项变化都会重新检查；检查时读取的其他文件作为依赖与结果一起保存（见 lib/dependencies.js）。
+ * 缓存默认位于 node_modules/.cache/pre-commit-check
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { version: TOOL_VERSION } = require('../package.json');
+
+const CACHE_VERSION = 3;
+const DEFAULT_CACHE_LOCATION = 'node_modules/.cache/pre-commit-check';
+const CACHE_FILE_NAME = 'results.json';
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * 计算文件内容的 Git blob 哈希（与 git hash-object 结果一致）
+ */
+function getBlobHash(content) {
+  const buffer = Buffer.from(content, 'utf-8');
+  return sha1(Buffer.concat([Buffer.from(`blob ${buffer.length}\0`), buffer]));
+}
+
+/**
+ * 稳定的序列化：对象键排序，函数与正则转为源码字符串
+ */
+function stableStringify(value) {
+  if (typeof value === 'function' || value instanceof RegExp) {
+    return JSON.stringify(String(value));
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * 计算自定义规则模块的源码哈希，包含模块引用的本地文件；模块引用的 node_modules 中的依赖不计算
+ */
+function getModuleSourceHashes(moduleFiles) {
+  const hashes = {};
+  const isDependency = file => file.split(path.sep).includes('node_modules');
+  const visit = file => {
+    if (hashes[file] !== undefined) return;
+    try {
+      hashes[file] = sha1(fs.readFileSync(file));
+    } catch (e) {
+      hashes[file] = null;
+    }
+    const loaded = require.cache[file];
+    if (loaded) {
+      loaded.children.filter(child => !isDependency(child.filename)).forEach(child => visit(child.filename));
+    }
+  };
+  moduleFiles.forEach(visit);
+  return hashes;
+}
+
+/**
+ * 计算生效配置的哈希，包含已注册规则的检查函数、自定义规则模块及其引用的本地文件的源码和输出语言，
+ * 修改自定义规则或切换语言后缓存自动失效
+ */
+function getConfigHash(config, registry, locale) {
+  const rules = registry.getAll().map(rule => `${rule.meta.id}:${rule.check.toString()}`);
+  const modules = getModuleSourceHashes(registry.getModuleFiles());
+  return sha1(stableStringify({ config, rules, modules, locale }));
+}
+
+/**
+ * 计算单个文件的缓存键
+ */
+function getCacheKey({ file, blobHash, diff, configHash }) {
+  return sha1([TOOL_VERSION, configHash, file, blobHash, sha1(diff || '')].join('\n'));
+}
+
+/**
+ * 读取缓存，缓存不存在或已损坏时返回空缓存
+ */
+function loadCache(location) {
+  const empty = { version: CACHE_VERSION, entries: {} };
+  try {
+    const cache = JSON.parse(fs.readFileSync(path.join(location, CACHE_FILE_NAME), 'utf-8'));
+    return cache && cache.version === CACHE_VERSION && cache.entries ? cache : empty;
+  } catch (e) {
+    return empty;
+  }
+}
+
+/**
+ * 写入缓存，写入失败（如目录无权限）时忽略，不影响检查结果
+ */
+function saveCache(location, cache) {
+  try {
+    fs.mkdirSync(location, { recursive: true });
+    fs.writeFileSync(path.join(location, CACHE_FILE_NAME), JSON.stringify(cache));
+  } catch (e) {
+    // 忽略缓存写入失败
+  }
+}
+
+/**
+ * 清除缓存
+ */
+function clearCache(location) {
+  fs.rmSync(location, { recursive: true, force: true });
+}
+
+module.exports = {
+  DEFAULT_CACHE_LOCATION,
+  getBlobHash,
+  getConfigHash,
+  getCacheKey,
+  loadCache,
+  saveCache,
+  clearCache
+};
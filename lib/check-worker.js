@@ -0,0 +1,34 @@
+/**
+ * 检查 worker 线程入口
+ *
+ * 启动时根据 workerData 加载配置并创建规则注册表，之后逐个处理主线程发送的文件
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { createRegistryFromConfig } = require('./rule-registry');
+const { loadConfigFile } = require('./config-loader');
+const { createTranslator } = require('./i18n');
+const { applyConfigDefaults, applyOverrides } = require('./config-merge');
+const { checkFile } = require('./file-checker');
+
+const { configPath, baseDir, overrideIndexes, ...env } = workerData;
+// ES 模块配置与自定义规则需要异步加载，加载完成前收到的文件等待加载完成后再检查
+const t = createTranslator(env.locale);
+const ready = (configPath ? loadConfigFile(configPath, t) : Promise.resolve(workerData.config))
+  .then(async config => {
+    const registry = await createRegistryFromConfig(config, baseDir, t);
+    const fileConfig = applyConfigDefaults(config, registry.getAll());
+    return { config: overrideIndexes ? applyOverrides(fileConfig, overrideIndexes) : fileConfig, registry };
+  });
+
+// 配置加载失败或检查结果无法传回主线程（如自定义规则返回了函数）时，将错误交给主线程处理
+parentPort.on('message', ({ index, task }) => {
+  ready
+    .then(({ config, registry }) => {
+      const result = checkFile(task, { ...env, config, registry });
+      parentPort.postMessage({ index, result });
+    })
+    .catch(error => {
+      parentPort.postMessage({ index, error: { name: error.name, message: error.message } });
+    });
+});
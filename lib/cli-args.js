@@ -0,0 +1,85 @@
+/**
+ * 命令行参数解析
+ *
+ * 支持 --name value、--name=value 两种写法，VALUE_OPTIONS 中的参数需要取值，BOOLEAN_OPTIONS 中的参数为开关，
+ * 未声明的参数视为错误（如拼错的 --quite），其余参数作为位置参数（如 baseline、init 子命令）
+ */
+
+const { createTranslator, resolveLocale } = require('./i18n');
+const { findClosestKey } = require('./config-schema');
+
+// 需要取值的参数
+const VALUE_OPTIONS = ['from', 'to', 'files', 'workers', 'cache-location', 'format', 'output-file', 'locale', 'group-by', 'link-template', 'config'];
+
+// 开关参数
+const BOOLEAN_OPTIONS = ['all', 'worktree', 'only-changed-lines', 'no-cache', 'clear-cache', 'quiet', 'fail-on-internal-error', 'init'];
+
+// 取值为正整数的参数，解析后转换为数字
+const POSITIVE_INTEGER_OPTIONS = ['workers'];
+
+/**
+ * 将 kebab-case 参数名转换为 camelCase，例如 only-changed-lines -> onlyChangedLines
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * 解析命令行参数，参数有误（未知参数、缺少取值、取值无效）时抛出错误；
+ * 错误在全部参数解析后抛出，提示使用 --locale 指定的语言
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ positionals: string[], options: object }}
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+  let error = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equalsIndex = arg.indexOf('=');
+    const name = equalsIndex === -1 ? arg.slice(2) : arg.slice(2, equalsIndex);
+    const key = toCamelCase(name);
+
+    if (BOOLEAN_OPTIONS.includes(name)) {
+      options[key] = true;
+    } else if (!VALUE_OPTIONS.includes(name)) {
+      if (!error) {
+        const suggestion = findClosestKey(name, [...VALUE_OPTIONS, ...BOOLEAN_OPTIONS]);
+        error = suggestion
+          ? { id: 'cli.unknownOptionSuggestion', data: { option: `--${name}`, suggestion: `--${suggestion}` } }
+          : { id: 'cli.unknownOption', data: { option: `--${name}` } };
+      }
+    } else if (equalsIndex !== -1) {
+      options[key] = arg.slice(equalsIndex + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[key] = argv[++i];
+    } else if (!error) {
+      error = { id: 'cli.missingValue', data: { option: `--${name}` } };
+    }
+  }
+
+  POSITIVE_INTEGER_OPTIONS.forEach(name => {
+    const key = toCamelCase(name);
+    if (options[key] === undefined) return;
+    if (/^[1-9]\d*$/.test(options[key])) {
+      options[key] = Number(options[key]);
+    } else if (!error) {
+      error = { id: 'cli.invalidPositiveInteger', data: { option: `--${name}`, value: options[key] } };
+    }
+  });
+
+  if (error) {
+    const t = createTranslator(resolveLocale(options.locale));
+    throw new Error(t(error.id, error.data));
+  }
+  return { positionals, options };
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,56 @@
+/**
+ * 代码片段
+ *
+ * 控制台输出问题所在行附近的代码，并在问题位置下方用 ^ 标出：
+ *
+ *     10 |   <div>
+ *   > 11 |     <Button onClick={handleSubmit}>提交</Button>
+ *        |     ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+ *     12 |   </div>
+ */
+
+// 问题所在行上下各展示的行数
+const CONTEXT_LINES = 2;
+
+/**
+ * 生成代码片段
+ *
+ * @param {string} source - 文件内容
+ * @param {{ line: number, column?: number, endLine?: number, endColumn?: number }} location - 问题位置
+ * @returns {Array<{ text: string, marker: boolean }>} 代码片段的每一行，marker 为 true 表示问题所在行或标记行
+ */
+function getCodeFrame(source, location) {
+  if (typeof source !== 'string' || !location.line) return [];
+
+  const lines = source.split('\n');
+  if (location.line > lines.length) return [];
+
+  const start = Math.max(1, location.line - CONTEXT_LINES);
+  const end = Math.min(lines.length, location.line + CONTEXT_LINES);
+  const gutterWidth = String(end).length;
+  const frame = [];
+
+  for (let number = start; number <= end; number++) {
+    const text = lines[number - 1].replace(/\r$/, '');
+    const isTarget = number === location.line;
+    frame.push({
+      text: `${isTarget ? '>' : ' '} ${String(number).padStart(gutterWidth)} | ${text}`,
+      marker: isTarget
+    });
+
+    if (isTarget) {
+      // 跨行的问题只标记到该行末尾；保留制表符，使 ^ 与代码对齐
+      const column = location.column || 1;
+      const endColumn = location.endLine === location.line && location.endColumn ? location.endColumn : text.length + 1;
+      const padding = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+      frame.push({
+        text: `  ${' '.repeat(gutterWidth)} | ${padding}${'^'.repeat(Math.max(endColumn - column, 1))}`,
+        marker: true
+      });
+    }
+  }
+
+  return frame;
+}
+
+module.exports = { getCodeFrame };
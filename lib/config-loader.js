@@ -0,0 +1,285 @@
+/**
+ * 配置文件加载
+ *
+ * 从指定目录开始逐级向上查找配置文件，每个目录依次尝试 CONFIG_FILE_NAMES 中的文件，
+ * 以及 package.json 中的 commitCheck 字段；都找不到时使用包目录中的默认配置。
+ * 配置中的 extends 按顺序合并，本地配置最后合并
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createTranslator, resolveLocale } = require('./i18n');
+
+const CONFIG_FILE_NAME = 'commit-check.config.js';
+
+// 同一目录中的查找顺序
+const CONFIG_FILE_NAMES = [
+  'commit-check.config.js',
+  'commit-check.config.cjs',
+  'commit-check.config.mjs',
+  'commit-check.config.json',
+  '.commitcheckrc',
+  '.commitcheckrc.json',
+  '.commitcheckrc.yaml',
+  '.commitcheckrc.yml'
+];
+
+// package.json 中的配置字段
+const PACKAGE_JSON_KEY = 'commitCheck';
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '..', CONFIG_FILE_NAME);
+
+// extends 中的内置预设：preset:<name> 对应 lib/presets/<name>.js
+const PRESET_PREFIX = 'preset:';
+const PRESETS_DIR = path.join(__dirname, 'presets');
+
+/**
+ * 配置错误：配置文件缺失、自定义规则无法加载、配置项有误等；
+ * 配置文件不存在时 code 为 'CONFIG_NOT_FOUND'，配置项有误时为 'CONFIG_INVALID'（issues 中为各配置项的问题）
+ */
+class ConfigError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = code;
+  }
+}
+
+/**
+ * 判断 package.json 中是否包含配置字段，文件无法解析时视为不包含
+ */
+function hasPackageJsonConfig(packageJsonPath) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
+    return Boolean(pkg && typeof pkg === 'object' && pkg[PACKAGE_JSON_KEY]);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 从 startDir 开始逐级向上查找配置文件，返回配置文件的绝对路径，找不到时返回 null
+ *
+ * @param {string} startDir - 开始查找的目录
+ * @param {Map<string, string|null>} [cache] - 目录到查找结果的缓存，查找多个文件的配置时复用
+ */
+function findConfigFile(startDir, cache) {
+  const visited = [];
+  let dir = path.resolve(startDir);
+  let found = null;
+
+  for (;;) {
+    if (cache && cache.has(dir)) {
+      found = cache.get(dir);
+      break;
+    }
+    visited.push(dir);
+
+    const fileName = CONFIG_FILE_NAMES.find(name => fs.existsSync(path.join(dir, name)));
+    if (fileName) {
+      found = path.join(dir, fileName);
+      break;
+    }
+    const packageJsonPath = path.join(dir, 'package.json');
+    if (fs.existsSync(packageJsonPath) && hasPackageJsonConfig(packageJsonPath)) {
+      found = packageJsonPath;
+      break;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  if (cache) visited.forEach(visitedDir => cache.set(visitedDir, found));
+  return found;
+}
+
+/**
+ * 取 ES 模块的默认导出
+ */
+function interopDefault(exported) {
+  if (exported && (exported.__esModule || exported[Symbol.toStringTag] === 'Module') && 'default' in exported) {
+    return exported.default;
+  }
+  return exported;
+}
+
+/**
+ * 加载 JS 模块（配置文件、自定义规则）：.mjs 以及 "type": "module" 项目中的 .js 需要通过 import() 加载
+ */
+async function loadModule(configPath) {
+  if (path.extname(configPath) !== '.mjs') {
+    try {
+      return interopDefault(require(configPath));
+    } catch (e) {
+      if (e.code !== 'ERR_REQUIRE_ESM') throw e;
+    }
+  }
+  return interopDefault(await import(pathToFileURL(configPath).href));
+}
+
+/**
+ * 未指定翻译函数时按环境变量识别语言
+ */
+function getDefaultTranslator() {
+  return createTranslator(resolveLocale());
+}
+
+/**
+ * 读取配置文件，不处理 extends
+ */
+async function readConfigFile(configPath, t = getDefaultTranslator()) {
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError(t('config.fileNotFound', { file: configPath }), 'CONFIG_NOT_FOUND');
+  }
+
+  let config;
+  try {
+    const fileName = path.basename(configPath);
+    const ext = path.extname(configPath);
+    if (fileName === 'package.json') {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'))[PACKAGE_JSON_KEY];
+    } else if (ext === '.json') {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } else if (ext === '.yaml' || ext === '.yml' || fileName === '.commitcheckrc') {
+      // .commitcheckrc 按 YAML 解析，JSON 写法同样适用
+      config = require('yaml').parse(fs.readFileSync(configPath, 'utf-8'));
+    } else {
+      config = await loadModule(configPath);
+    }
+  } catch (e) {
+    throw new ConfigError(t('config.loadFailed', { file: configPath, error: e.message }));
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(t('config.notObject', { file: configPath }));
+  }
+  return config;
+}
+
+function getPresetNames() {
+  return fs.readdirSync(PRESETS_DIR).filter(file => file.endsWith('.js')).map(file => path.basename(file, '.js'));
+}
+
+/**
+ * 解析 extends 中的一项，返回配置文件的绝对路径
+ * - preset:<name> 为内置预设
+ * - 以 . 或 / 开头的视为本地路径，相对于声明 extends 的配置所在目录解析
+ * - 其他视为 npm 包名，从声明 extends 的配置所在目录开始解析
+ */
+function resolveExtendsPath(specifier, baseDir, t) {
+  if (specifier.startsWith(PRESET_PREFIX)) {
+    const name = specifier.slice(PRESET_PREFIX.length);
+    const presetNames = getPresetNames();
+    if (!presetNames.includes(name)) {
+      throw new ConfigError(t('config.unknownPreset', {
+        preset: specifier,
+        presets: presetNames.map(preset => PRESET_PREFIX + preset).join(', ')
+      }));
+    }
+    return path.join(PRESETS_DIR, `${name}.js`);
+  }
+
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return path.resolve(baseDir, specifier);
+  }
+  try {
+    return require.resolve(specifier, { paths: [baseDir] });
+  } catch (e) {
+    throw new ConfigError(t('config.extendsNotFound', { specifier }));
+  }
+}
+
+/**
+ * 将共享配置中 customRules 的本地路径与 npm 包名解析为绝对路径，
+ * 之后它们相对于使用方的配置文件合并时仍能找到
+ */
+function resolveCustomRulePaths(customRules, configDir) {
+  const resolveSpecifier = specifier => {
+    if (typeof specifier !== 'string') return specifier;
+    if (specifier.startsWith('.')) return path.resolve(configDir, specifier);
+    try {
+      return require.resolve(specifier, { paths: [configDir] });
+    } catch (e) {
+      // 留给规则注册表按使用方的目录解析并报告
+      return specifier;
+    }
+  };
+
+  if (Array.isArray(customRules)) return customRules.map(resolveSpecifier);
+  if (customRules && Array.isArray(customRules.$append)) {
+    return { ...customRules, $append: customRules.$append.map(resolveSpecifier) };
+  }
+  return customRules;
+}
+
+/**
+ * 合并配置中 extends 声明的配置：按顺序合并，配置本身最后合并；被继承的配置也可以声明 extends
+ *
+ * @param {object} config - 配置对象
+ * @param {string} baseDir - 解析 extends 的基准目录（通常为配置文件所在目录）
+ * @param {Function} [t] - 翻译函数，用于错误提示，默认按环境变量识别语言
+ * @param {string[]} [chain] - 正在加载的配置文件，用于发现循环引用
+ * @returns {Promise<object>} 不含 extends 的配置
+ */
+async function resolveExtends(config, baseDir, t = getDefaultTranslator(), chain = []) {
+  if (config.extends === undefined) return config;
+
+  const specifiers = typeof config.extends === 'string' ? [config.extends] : config.extends;
+  if (!Array.isArray(specifiers) || specifiers.some(specifier => typeof specifier !== 'string')) {
+    throw new ConfigError(t('config.invalidExtends'));
+  }
+
+  // config-merge 通过 baseline 间接依赖本模块，在使用时加载
+  const { mergeConfigs } = require('./config-merge');
+  let merged = {};
+  for (const specifier of specifiers) {
+    const extendsPath = resolveExtendsPath(specifier, baseDir, t);
+    if (chain.includes(extendsPath)) {
+      throw new ConfigError(t('config.circularExtends', { chain: [...chain, extendsPath].join(' -> ') }));
+    }
+    const extendsDir = path.dirname(extendsPath);
+    const extended = await resolveExtends(await readConfigFile(extendsPath, t), extendsDir, t, [...chain, extendsPath]);
+    merged = mergeConfigs(merged, { ...extended, customRules: resolveCustomRulePaths(extended.customRules, extendsDir) });
+  }
+
+  const { extends: _extends, ...own } = config;
+  return mergeConfigs(merged, own);
+}
+
+/**
+ * 加载配置文件并合并 extends，文件不存在或无法解析时抛出 ConfigError
+ *
+ * @param {string} configPath - 配置文件的绝对路径
+ * @param {Function} [t] - 翻译函数，用于错误提示，默认按环境变量识别语言
+ * @returns {Promise<object>} 配置对象
+ */
+async function loadConfigFile(configPath, t = getDefaultTranslator()) {
+  return resolveExtends(await readConfigFile(configPath, t), path.dirname(configPath), t, [configPath]);
+}
+
+/**
+ * 查找并加载配置文件：从 cwd 向上查找，找不到时使用包目录中的默认配置
+ *
+ * @param {Function} [t] - 翻译函数，用于错误提示
+ * @returns {Promise<{ config: object, configPath: string }|null>} 默认配置也不存在时返回 null
+ */
+async function loadConfig(cwd = process.cwd(), t = getDefaultTranslator()) {
+  const configPath = findConfigFile(cwd) || (fs.existsSync(DEFAULT_CONFIG_PATH) ? DEFAULT_CONFIG_PATH : null);
+  if (!configPath) return null;
+  return { config: await loadConfigFile(configPath, t), configPath };
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  CONFIG_FILE_NAMES,
+  DEFAULT_CONFIG_PATH,
+  ConfigError,
+  findConfigFile,
+  resolveExtends,
+  loadModule,
+  loadConfigFile,
+  loadConfig
+};
@@ -0,0 +1,155 @@
+/**
+ * 配置与默认值合并
+ *
+ * 用户配置逐层合并到内置默认值上，未填写的配置项使用默认值。
+ * 数组配置项默认整体替换，写作 { $append: [...] } 时在默认列表之后追加，
+ * 例如 requestMethods: { $append: ['myRequest'] }。
+ * overrides 中与文件匹配的配置块按顺序合并到该文件的规则配置上
+ */
+
+const path = require('path');
+const { minimatch } = require('minimatch');
+const { DEFAULT_BASELINE_FILE } = require('./baseline');
+
+// global 的默认值；workers、locale、linkTemplate 未设置时由使用处决定
+const DEFAULT_GLOBAL_OPTIONS = {
+  fileExtensions: ['.html', '.js', '.ts', '.vue', '.jsx', '.tsx'],
+  ignore: ['node_modules/**', 'dist/**', 'build/**', '*.min.js'],
+  suppressions: {
+    reportUnused: 'warn'
+  },
+  onlyChangedLines: false,
+  baselineFile: DEFAULT_BASELINE_FILE,
+  failOnInternalError: false
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 判断是否为追加写法 { $append: [...] }
+ */
+function isAppend(value) {
+  return isPlainObject(value) && Object.keys(value).length === 1 && Array.isArray(value.$append);
+}
+
+function merge(defaults, overrides, keepAppend) {
+  if (overrides === undefined) return defaults;
+  if (isAppend(overrides)) {
+    if (Array.isArray(defaults)) return [...defaults, ...overrides.$append];
+    if (isAppend(defaults)) return { $append: [...defaults.$append, ...overrides.$append] };
+    return keepAppend ? overrides : overrides.$append;
+  }
+  if (!isPlainObject(defaults) || !isPlainObject(overrides)) return overrides;
+
+  const merged = { ...defaults };
+  Object.keys(overrides).forEach(key => {
+    merged[key] = merge(defaults[key], overrides[key], keepAppend);
+  });
+  return merged;
+}
+
+/**
+ * 将 overrides 合并到 defaults 上，返回新对象，不修改参数
+ * - 对象逐个属性合并
+ * - { $append: [...] } 追加到默认数组之后
+ * - 其他值（包括数组）直接替换默认值，undefined 表示使用默认值
+ */
+function mergeOptions(defaults, overrides) {
+  return merge(defaults, overrides, false);
+}
+
+// extends 合并时各层拼接而不是替换的配置项：本地配置声明自己的自定义规则和 overrides 时，共享配置中的仍然生效
+const CONCATENATED_KEYS = ['customRules', 'overrides'];
+
+function toList(value) {
+  return isAppend(value) ? value.$append : value;
+}
+
+/**
+ * 合并两层用户配置（extends 中的配置与本地配置），规则同 mergeOptions()；
+ * 前一层没有对应数组时保留 { $append: [...] }，与内置默认值合并时再追加。
+ * customRules、overrides 按顺序拼接，与 ESLint 的 extends 一致
+ */
+function mergeConfigs(base, overrides) {
+  const merged = merge(base, overrides, true);
+  CONCATENATED_KEYS.forEach(key => {
+    if (Array.isArray(toList(base[key])) && Array.isArray(toList(overrides[key]))) {
+      merged[key] = [...toList(base[key]), ...toList(overrides[key])];
+    }
+  });
+  return merged;
+}
+
+/**
+ * 生成合并默认值后的完整配置：global 合并内置默认值，每个规则的配置合并 meta.defaultOptions
+ *
+ * @param {object} config - 已加载的配置
+ * @param {object[]} rules - 已注册的规则
+ */
+function applyConfigDefaults(config, rules) {
+  const merged = {
+    ...config,
+    customRules: mergeOptions([], config.customRules),
+    overrides: mergeOptions([], config.overrides),
+    global: mergeOptions(DEFAULT_GLOBAL_OPTIONS, config.global)
+  };
+  rules.forEach(rule => {
+    merged[rule.meta.id] = mergeOptions({ enabled: true, ...(rule.meta.defaultOptions || {}) }, config[rule.meta.id]);
+  });
+  return merged;
+}
+
+function toArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * 查找与文件匹配的 overrides 配置块
+ *
+ * files、excludedFiles 为相对于配置文件所在目录的 glob，不含 / 的模式匹配任意目录下的文件名
+ *
+ * @param {object} config - 合并默认值后的配置
+ * @param {string} baseDir - 配置文件所在目录
+ * @param {string} filePath - 文件的绝对路径
+ * @returns {number[]} 匹配的配置块下标
+ */
+function getMatchingOverrides(config, baseDir, filePath) {
+  const relativePath = path.relative(baseDir, filePath).split(path.sep).join('/');
+  const matches = pattern => minimatch(relativePath, pattern, { dot: true, matchBase: true });
+
+  return config.overrides.reduce((indexes, override, index) => {
+    if (toArray(override.files).some(matches) && !toArray(override.excludedFiles).some(matches)) {
+      indexes.push(index);
+    }
+    return indexes;
+  }, []);
+}
+
+/**
+ * 将指定的 overrides 配置块按顺序合并到规则配置上，后面的配置块优先
+ *
+ * @param {object} config - 合并默认值后的配置
+ * @param {number[]} indexes - getMatchingOverrides() 返回的下标
+ */
+function applyOverrides(config, indexes) {
+  const merged = { ...config };
+  indexes.forEach(index => {
+    const { files, excludedFiles, ...ruleConfigs } = config.overrides[index];
+    Object.keys(ruleConfigs).forEach(id => {
+      merged[id] = mergeOptions(merged[id], ruleConfigs[id]);
+    });
+  });
+  return merged;
+}
+
+module.exports = {
+  DEFAULT_GLOBAL_OPTIONS,
+  mergeOptions,
+  mergeConfigs,
+  applyConfigDefaults,
+  getMatchingOverrides,
+  applyOverrides
+};
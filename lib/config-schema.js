@@ -0,0 +1,255 @@
+/**
+ * 配置校验
+ *
+ * 使用 JSON Schema 的一个子集描述配置结构：type（string、boolean、integer、array、object）、
+ * enum、minimum、items、properties、required。object 默认不允许未声明的属性，拼错的配置项会被报告，
+ * 并给出最接近的合法配置项。
+ *
+ * 规则的配置结构由 meta.schema 声明（只需声明规则特有的配置项，enabled、severity 为通用配置项）；
+ * 未声明 meta.schema 的自定义规则只校验通用配置项
+ */
+
+const { SUPPORTED_LOCALES, normalizeLocale } = require('./i18n');
+
+const SEVERITIES = ['error', 'warn', 'off'];
+
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+
+const GLOBAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    fileExtensions: STRING_ARRAY,
+    ignore: STRING_ARRAY,
+    suppressions: {
+      type: 'object',
+      properties: {
+        reportUnused: { enum: SEVERITIES }
+      }
+    },
+    workers: { type: 'integer', minimum: 1 },
+    onlyChangedLines: { type: 'boolean' },
+    baselineFile: { type: 'string' },
+    // 与 --locale 一致，接受 zh、en_US.UTF-8 等写法
+    locale: { type: 'string', enum: SUPPORTED_LOCALES, normalize: normalizeLocale },
+    failOnInternalError: { type: 'boolean' },
+    linkTemplate: { type: 'string' }
+  }
+};
+
+/**
+ * 生成规则配置的结构：通用配置项 enabled、severity 加上 meta.schema 中声明的配置项
+ */
+function getRuleSchema(rule) {
+  const severityByType = {};
+  ['default', ...Object.keys(rule.meta.types || {})].forEach(type => {
+    severityByType[type] = { enum: SEVERITIES };
+  });
+
+  return {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      severity: {
+        oneOf: [
+          { type: 'string', enum: SEVERITIES },
+          // 规则未声明问题类型时无法校验类型名
+          { type: 'object', properties: severityByType, additionalProperties: !rule.meta.types }
+        ]
+      },
+      ...(rule.meta.schema || {})
+    },
+    // 未声明 meta.schema 的自定义规则允许任意配置项
+    additionalProperties: !rule.meta.schema
+  };
+}
+
+/**
+ * 生成整个配置的结构，rules 为 null 时（自定义规则尚未加载）只校验 customRules 与 global
+ */
+function getConfigSchema(rules) {
+  const properties = {
+    // 加载时已合并并移除，这里只用于提示拼错的 extends
+    extends: { oneOf: [{ type: 'string' }, STRING_ARRAY] },
+    customRules: STRING_ARRAY,
+    global: GLOBAL_SCHEMA
+  };
+  if (!rules) return { type: 'object', properties, additionalProperties: true };
+
+  const ruleProperties = {};
+  rules.forEach(rule => {
+    ruleProperties[rule.meta.id] = getRuleSchema(rule);
+  });
+  // overrides 的配置块中只能配置规则
+  const patterns = { oneOf: [{ type: 'string' }, STRING_ARRAY] };
+  properties.overrides = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { files: patterns, excludedFiles: patterns, ...ruleProperties },
+      required: ['files']
+    }
+  };
+  return { type: 'object', properties: { ...properties, ...ruleProperties } };
+}
+
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = getType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function formatPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * 编辑距离，用于查找拼错的配置项
+ */
+function getEditDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * 查找与 key 最接近的候选项，差异过大时返回 null
+ */
+function findClosestKey(key, candidates) {
+  let closest = null;
+  let closestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = getEditDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  });
+  return closestDistance <= Math.max(2, Math.floor(key.length / 3)) ? closest : null;
+}
+
+function validateValue(value, schema, valuePath, issues) {
+  if (schema.oneOf) {
+    const matched = schema.oneOf.find(option => matchesType(value, option.type));
+    if (!matched) {
+      issues.push({ path: valuePath, code: 'invalidType', expected: schema.oneOf.map(option => option.type), actual: getType(value) });
+      return;
+    }
+    validateValue(value, matched, valuePath, issues);
+    return;
+  }
+
+  // 数组配置项可以写作 { $append: [...] }，在默认列表之后追加（见 lib/config-merge.js）
+  if (schema.type === 'array' && schema.appendable !== false && getType(value) === 'object') {
+    validateValue(value, {
+      type: 'object',
+      properties: { $append: { ...schema, appendable: false } },
+      required: ['$append']
+    }, valuePath, issues);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    issues.push({ path: valuePath, code: 'invalidType', expected: [schema.type], actual: getType(value) });
+    return;
+  }
+
+  if (schema.enum) {
+    const normalized = schema.normalize ? schema.normalize(value) : value;
+    if (!schema.enum.includes(normalized)) {
+      issues.push({ path: valuePath, code: 'invalidValue', values: schema.enum, actual: value });
+    }
+    return;
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    issues.push({ path: valuePath, code: 'minimum', minimum: schema.minimum, actual: value });
+    return;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, formatPath(valuePath, index), issues));
+    return;
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) issues.push({ path: valuePath, code: 'missingKey', key });
+    });
+    Object.keys(value).forEach(key => {
+      const keyPath = formatPath(valuePath, key);
+      if (properties[key]) {
+        // undefined 与未填写等价
+        if (value[key] !== undefined) validateValue(value[key], properties[key], keyPath, issues);
+      } else if (!schema.additionalProperties) {
+        issues.push({ path: keyPath, code: 'unknownKey', suggestion: findClosestKey(key, Object.keys(properties)) });
+      }
+    });
+  }
+}
+
+/**
+ * 校验配置
+ *
+ * @param {object} config - 已加载的配置
+ * @param {object[]|null} rules - 已注册的规则，用于确定规则配置项；为 null 时只校验 customRules 与 global
+ * @returns {Array<{ path: string, code: 'unknownKey'|'missingKey'|'invalidType'|'invalidValue'|'minimum', suggestion?: string|null, key?: string, expected?: string[], values?: any[], minimum?: number, actual?: any }>} 配置中的问题，没有问题时为空数组
+ */
+function validateConfig(config, rules) {
+  const issues = [];
+  validateValue(config, getConfigSchema(rules), '', issues);
+  return issues;
+}
+
+/**
+ * 将校验问题转换为可读的提示
+ *
+ * @param {object} issue - validateConfig() 返回的问题
+ * @param {Function} t - 翻译函数
+ */
+function formatConfigIssue(issue, t) {
+  const data = { path: issue.path, actual: JSON.stringify(issue.actual) };
+  switch (issue.code) {
+    case 'unknownKey':
+      return issue.suggestion
+        ? t('config.unknownKeySuggestion', { ...data, suggestion: formatPath(issue.path.replace(/\.?[^.[\]]+$/, ''), issue.suggestion) })
+        : t('config.unknownKey', data);
+    case 'missingKey':
+      return t('config.missingKey', { ...data, key: issue.key });
+    case 'invalidType':
+      return t('config.invalidType', {
+        ...data,
+        expected: issue.expected.map(type => t(`config.type.${type}`)).join(t('config.or')),
+        actual: t(`config.type.${issue.actual}`)
+      });
+    case 'invalidValue':
+      return t('config.invalidValue', { ...data, values: issue.values.map(value => JSON.stringify(value)).join(', ') });
+    default:
+      return t('config.minimum', { ...data, minimum: issue.minimum });
+  }
+}
+
+module.exports = {
+  validateConfig,
+  formatConfigIssue,
+  findClosestKey
+};
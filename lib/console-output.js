@@ -0,0 +1,127 @@
+/**
+ * 控制台输出
+ *
+ * 按文件（默认）或按规则分组输出问题，并在最后输出按规则、级别统计的汇总表
+ */
+
+const chalk = require('chalk');
+const { getRuleName, getSummary } = require('./report');
+const { getCodeFrame } = require('./code-frame');
+
+const GROUP_BY = ['file', 'rule'];
+
+// 中日韩文字、全角符号在终端中占两列
+const WIDE_CHAR = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+
+function getDisplayWidth(text) {
+  return Array.from(String(text)).reduce((width, char) => width + (WIDE_CHAR.test(char) ? 2 : 1), 0);
+}
+
+function padEnd(text, width) {
+  return `${text}${' '.repeat(Math.max(width - getDisplayWidth(text), 0))}`;
+}
+
+function padStart(text, width) {
+  return `${' '.repeat(Math.max(width - getDisplayWidth(text), 0))}${text}`;
+}
+
+function compareRuleIds(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * 将问题分组，同组内按文件、行号、列号排序
+ *
+ * @returns {Array<{ key: string, findings: object[] }>} 按文件分组时保持文件的检查顺序，按规则分组时按规则 id 排序
+ */
+function groupFindings(findings, groupBy) {
+  const groups = new Map();
+  findings.forEach(finding => {
+    const key = groupBy === 'rule' ? finding.rule : finding.file;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(finding);
+  });
+
+  const result = Array.from(groups, ([key, list]) => ({
+    key,
+    findings: list.slice().sort((a, b) =>
+      a.file.localeCompare(b.file) || a.line - b.line || (a.column || 1) - (b.column || 1))
+  }));
+  return groupBy === 'rule' ? result.sort((a, b) => compareRuleIds(a.key, b.key)) : result;
+}
+
+function printFinding(finding, result, t) {
+  const color = finding.severity === 'warn' ? 'yellow' : 'red';
+  console.log(chalk[color](t('check.findingTitle', {
+    rule: finding.rule,
+    status: t(`check.status.${finding.severity}`),
+    name: getRuleName(result.registry, finding.rule, result.locale)
+  })));
+  // 文件:行:列 的格式可以在编辑器终端中直接点击跳转
+  console.log(chalk.white(t('check.location', { location: `${finding.file}:${finding.line}:${finding.column || 1}` })));
+  getCodeFrame(result.getSource(finding.file), finding).forEach(row => {
+    console.log(row.marker ? chalk[color](row.text) : chalk.gray(row.text));
+  });
+  console.log(chalk.yellow(t('check.problem', { message: finding.message })));
+  console.log(chalk.cyan(t('check.suggestion', { suggestion: finding.suggestion })));
+}
+
+/**
+ * 分组输出问题
+ *
+ * @param {object[]} findings - 需要输出的问题
+ * @param {object} result - runLint() 的结果，用于读取规则名称和文件内容
+ * @param {Function} t - 翻译函数
+ * @param {'file'|'rule'} [groupBy] - 分组方式，默认按文件
+ */
+function printFindings(findings, result, t, groupBy = 'file') {
+  groupFindings(findings, groupBy).forEach(group => {
+    const errors = group.findings.filter(finding => finding.severity === 'error').length;
+    const title = groupBy === 'rule'
+      ? `${group.key} ${getRuleName(result.registry, group.key, result.locale)}`
+      : group.key;
+    console.log(`${chalk.bold.underline(title)}${chalk.gray(t('check.groupCount', { errors, warnings: group.findings.length - errors }))}\n`);
+    group.findings.forEach(finding => {
+      printFinding(finding, result, t);
+      console.log('');
+    });
+  });
+}
+
+/**
+ * 输出汇总表：各规则的问题、警告数量，文件数量与耗时
+ */
+function printSummary(result, t) {
+  const summary = getSummary(result);
+  const counts = new Map();
+  result.findings.forEach(finding => {
+    const count = counts.get(finding.rule) || { error: 0, warn: 0 };
+    count[finding.severity === 'warn' ? 'warn' : 'error']++;
+    counts.set(finding.rule, count);
+  });
+
+  const rows = Array.from(counts.keys()).sort(compareRuleIds).map(rule => [
+    `${rule} ${getRuleName(result.registry, rule, result.locale)}`,
+    String(counts.get(rule).error),
+    String(counts.get(rule).warn)
+  ]);
+  const header = [t('check.summary.rule'), t('check.summary.errors'), t('check.summary.warnings')];
+  const total = [t('check.summary.total'), String(summary.errors), String(summary.warnings)];
+  const widths = header.map((_, index) => Math.max(...[header, ...rows, total].map(row => getDisplayWidth(row[index]))));
+  const formatRow = row => `  ${padEnd(row[0], widths[0])}  ${padStart(row[1], widths[1])}  ${padStart(row[2], widths[2])}`;
+
+  console.log(chalk.bold(`📊 ${t('check.summary.title')}`));
+  console.log(chalk.gray(formatRow(header)));
+  rows.forEach(row => console.log(formatRow(row)));
+  console.log(chalk.gray(`  ${'-'.repeat(widths[0] + widths[1] + widths[2] + 4)}`));
+  console.log(chalk.bold(formatRow(total)));
+
+  console.log(chalk.gray(`  ${t('check.summary.files', {
+    checked: summary.files,
+    skipped: summary.skipped,
+    parseErrors: summary.parseErrors
+  })}`));
+  console.log(chalk.gray(`  ${t('check.summary.duration', { duration: result.timing.durationMs })}`));
+}
+
+module.exports = { GROUP_BY, groupFindings, printFindings, printSummary };
@@ -0,0 +1,90 @@
+/**
+ * 检查依赖的其他文件
+ *
+ * 规则检查一个文件时可能需要读取其他文件（如规则1、规则2 查找 declareRequest 定义），
+ * 这些文件通过 context.files 读取，读取的文件内容和搜索到的文件列表都会记录下来。
+ * 检查结果写入缓存时一并保存，之后依赖的文件修改、新增或删除都会使该文件的缓存失效。
+ *
+ * 文件内容与被检查的文件读取自同一版本（默认为暂存区，见 lib/file-checker.js）；
+ * 搜索文件时列出的是工作区中的文件，不在该版本中的文件读取结果为 null
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const glob = require('glob');
+const { getBlobHash } = require('./cache');
+
+// 搜索文件时排除的目录
+const GLOB_IGNORE = ['**/node_modules/**', '**/dist/**', '**/build/**'];
+
+function readWorktreeFile(absolutePath) {
+  try {
+    return fs.readFileSync(absolutePath, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+function getContentHash(content) {
+  return content === null ? null : getBlobHash(content);
+}
+
+function getListHash(files) {
+  return crypto.createHash('sha1').update([...files].sort().join('\n')).digest('hex');
+}
+
+/**
+ * 创建读取依赖文件的接口，检查单个文件时使用
+ *
+ * @param {(absolutePath: string) => string|null} [readContent] - 读取文件内容的函数，默认读取工作区文件
+ * @returns {{ read: (absolutePath: string) => string|null, glob: (pattern: string) => string[], dependencies: { files: object, globs: object } }}
+ *   read 读取文件内容，文件不存在时返回 null；glob 按绝对路径的模式搜索文件；
+ *   dependencies 为读取过的文件与搜索模式对应的哈希
+ */
+function createFileReader(readContent = readWorktreeFile) {
+  const dependencies = { files: {}, globs: {} };
+  const contents = new Map();
+
+  return {
+    read(absolutePath) {
+      if (!contents.has(absolutePath)) {
+        const content = readContent(absolutePath);
+        contents.set(absolutePath, content);
+        dependencies.files[absolutePath] = getContentHash(content);
+      }
+      return contents.get(absolutePath);
+    },
+
+    glob(pattern) {
+      const matches = glob.sync(pattern, { ignore: GLOB_IGNORE });
+      dependencies.globs[pattern] = getListHash(matches);
+      return matches;
+    },
+
+    dependencies
+  };
+}
+
+/**
+ * 判断缓存结果记录的依赖是否都没有变化
+ *
+ * @param {{ files: object, globs: object }} [dependencies] - createFileReader() 记录的依赖
+ * @param {(absolutePath: string) => string|null} [getFileHash] - 获取文件 blob 哈希的函数，文件不存在时返回 null，
+ *   与记录依赖时读取的版本一致；默认读取工作区文件计算
+ */
+function isDependenciesUnchanged(dependencies, getFileHash = absolutePath => getContentHash(readWorktreeFile(absolutePath))) {
+  if (!dependencies) return false;
+  return Object.keys(dependencies.files).every(file => getFileHash(file) === dependencies.files[file]) &&
+    Object.keys(dependencies.globs).every(pattern => {
+      try {
+        return getListHash(glob.sync(pattern, { ignore: GLOB_IGNORE })) === dependencies.globs[pattern];
+      } catch (e) {
+        return false;
+      }
+    });
+}
+
+module.exports = {
+  createFileReader,
+  isDependenciesUnchanged
+};
@@ -0,0 +1,146 @@
+/**
+ * 统一 diff 解析
+ *
+ * 将 git diff 输出解析为文件状态（added / modified / renamed / deleted）和精确的新增行范围，
+ * 通过规则上下文的 changes 字段提供给所有规则使用
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * 去掉 diff 文件头中路径的 a/、b/ 前缀及引号，/dev/null 返回 null
+ */
+function parsePath(rawPath) {
+  let value = rawPath.trim();
+  if (value.startsWith('"') && value.endsWith('"')) {
+    value = value.slice(1, -1);
+  }
+  if (value === '/dev/null') return null;
+  return value.replace(/^[ab]\//, '');
+}
+
+/**
+ * 创建单个文件的变更信息
+ */
+function createChanges(fields) {
+  const changes = {
+    status: 'added',
+    oldPath: null,
+    newPath: null,
+    addedRanges: [],
+    addedLines: [],
+    ...fields
+  };
+
+  changes.isNewFile = changes.status === 'added';
+
+  /**
+   * 判断新文件中的某一行是否为本次新增/修改的行，新增文件的所有行都视为新增
+   */
+  changes.isLineAdded = line => changes.isNewFile ||
+    changes.addedRanges.some(range => line >= range.start && line <= range.end);
+
+  return changes;
+}
+
+/**
+ * 解析单个文件的 diff 片段
+ */
+function parseFileSection(lines) {
+  const fields = { status: 'modified', addedRanges: [], addedLines: [] };
+  let newLine = 0;
+  let inHunk = false;
+
+  for (const line of lines) {
+    const hunk = line.match(HUNK_HEADER);
+    if (hunk) {
+      inHunk = true;
+      newLine = parseInt(hunk[3], 10);
+      continue;
+    }
+
+    if (!inHunk) {
+      if (line.startsWith('diff --git ')) {
+        const match = line.match(/^diff --git (\S+|"[^"]+") (\S+|"[^"]+")$/);
+        if (match) {
+          fields.oldPath = parsePath(match[1]);
+          fields.newPath = parsePath(match[2]);
+        }
+      } else if (line.startsWith('new file mode')) {
+        fields.status = 'added';
+      } else if (line.startsWith('deleted file mode')) {
+        fields.status = 'deleted';
+      } else if (line.startsWith('rename from ')) {
+        fields.status = 'renamed';
+        fields.oldPath = line.slice('rename from '.length);
+      } else if (line.startsWith('rename to ')) {
+        fields.status = 'renamed';
+        fields.newPath = line.slice('rename to '.length);
+      } else if (line.startsWith('--- ')) {
+        fields.oldPath = parsePath(line.slice(4));
+        if (fields.oldPath === null) fields.status = 'added';
+      } else if (line.startsWith('+++ ')) {
+        fields.newPath = parsePath(line.slice(4));
+        if (fields.newPath === null) fields.status = 'deleted';
+      }
+      continue;
+    }
+
+    if (line.startsWith('+')) {
+      fields.addedLines.push({ line: newLine, content: line.substring(1) });
+      const lastRange = fields.addedRanges[fields.addedRanges.length - 1];
+      if (lastRange && lastRange.end === newLine - 1) {
+        lastRange.end = newLine;
+      } else {
+        fields.addedRanges.push({ start: newLine, end: newLine });
+      }
+      newLine++;
+    } else if (line.startsWith(' ')) {
+      newLine++;
+    }
+    // '-' 为删除行，'\' 为 "No newline at end of file"，均不占用新文件的行号
+  }
+
+  // 删除文件时只有旧路径
+  if (fields.status === 'deleted') {
+    fields.newPath = null;
+  }
+
+  return createChanges(fields);
+}
+
+/**
+ * 解析包含一个或多个文件的 diff 输出
+ *
+ * @param {string} diffText - git diff 输出
+ * @returns {object[]} 每个文件的变更信息，并附带该文件的原始 diff 文本 raw
+ */
+function parseDiff(diffText) {
+  if (!diffText) return [];
+
+  const sections = [];
+  let current = null;
+  for (const line of diffText.split('\n')) {
+    if (line.startsWith('diff --git ') || (!current && line.startsWith('--- '))) {
+      current = [];
+      sections.push(current);
+    }
+    if (current) current.push(line);
+  }
+
+  return sections.map(section => {
+    const changes = parseFileSection(section);
+    changes.raw = section.join('\n');
+    return changes;
+  });
+}
+
+/**
+ * 解析单个文件的 diff，diff 为空时视为新增文件
+ */
+function parseFileDiff(diffText) {
+  const [changes] = parseDiff(diffText);
+  return changes || createChanges({ status: 'added' });
+}
+
+module.exports = { parseDiff, parseFileDiff };
@@ -0,0 +1,18 @@
+/**
+ * 命令行退出码
+ *
+ * - SUCCESS：检查通过（可能有警告）
+ * - VIOLATIONS：存在 error 级别的问题
+ * - CONFIG_ERROR：配置文件或命令行参数有误（如配置文件不存在、提交范围无效），检查没有进行
+ * - INTERNAL_ERROR：检查工具自身出错（如规则执行异常）；规则出错默认只提示，
+ *   指定 --fail-on-internal-error 后才以该退出码失败
+ */
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  VIOLATIONS: 1,
+  CONFIG_ERROR: 2,
+  INTERNAL_ERROR: 3
+};
+
+module.exports = { EXIT_CODES };
@@ -0,0 +1,179 @@
+/**
+ * 单个文件的检查流程
+ *
+ * 读取文件内容、解析、执行规则并应用行内禁用注释。主线程与 worker 线程共用此流程，
+ * 因此返回值只包含可序列化的数据
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getRevisionContent } = require('./git');
+const { parseFile } = require('./parser');
+const { parseFileDiff } = require('./diff');
+const { resolveRuleOptions, getSeverity, isRuleEnabled } = require('./rule-registry');
+const { SUPPRESSION_RULE_ID, applySuppressions } = require('./suppressions');
+const { getFingerprint } = require('./baseline');
+const { completeLocation } = require('./location');
+const { createTranslator } = require('./i18n');
+const { getBlobHash, getCacheKey } = require('./cache');
+const { createFileReader, isDependenciesUnchanged } = require('./dependencies');
+
+function readWorktreeFile(file, cwd) {
+  const absolutePath = path.resolve(cwd, file);
+  return fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf-8') : null;
+}
+
+/**
+ * 判断能否通过 blobHashes（getBlobHashes() 的结果）查找文件，cwd 之外的文件不在其中
+ */
+function isListed(file, blobHashes) {
+  return Boolean(blobHashes) && !file.startsWith('../');
+}
+
+/**
+ * 读取待检查文件的内容，文件不存在时返回 null
+ *
+ * 默认读取检查目标对应版本中的内容（暂存区或 to 指定的提交），与 diff 保持一致，
+ * 避免 git add -p 部分暂存时检查到未暂存的代码；contentSource 为 'worktree' 时读取工作区文件。
+ * 传入 blobHashes 时，工作区文件与该版本一致的直接读取工作区文件，只有不一致时才启动 git 进程
+ */
+function readFileContent(file, cwd, contentSource, revision, blobHashes) {
+  if (contentSource === 'worktree') {
+    return readWorktreeFile(file, cwd);
+  }
+  if (!isListed(file, blobHashes)) {
+    return getRevisionContent(file, revision, cwd);
+  }
+  if (!blobHashes.has(file)) return null;
+  const worktreeContent = readWorktreeFile(file, cwd);
+  return worktreeContent !== null && getBlobHash(worktreeContent) === blobHashes.get(file)
+    ? worktreeContent
+    : getRevisionContent(file, revision, cwd);
+}
+
+/**
+ * 获取文件在检查目标对应版本中的 blob 哈希，文件不存在时返回 null；传入 blobHashes 时不读取文件内容
+ */
+function getFileHash(file, cwd, contentSource, revision, blobHashes) {
+  if (contentSource !== 'worktree' && isListed(file, blobHashes)) {
+    return blobHashes.get(file) || null;
+  }
+  const content = readFileContent(file, cwd, contentSource, revision, blobHashes);
+  return content === null ? null : getBlobHash(content);
+}
+
+/**
+ * 将规则返回的错误整理为统一的检查结果结构
+ */
+function toFinding(error, rule, file, ruleOptions) {
+  return {
+    rule: rule.meta.id,
+    type: error.type || null,
+    file: error.file || file,
+    line: error.line || 0,
+    column: error.column || null,
+    endLine: error.endLine || null,
+    endColumn: error.endColumn || null,
+    message: error.message,
+    suggestion: error.suggestion || '',
+    severity: getSeverity(ruleOptions, error.type)
+  };
+}
+
+/**
+ * 检查单个文件
+ *
+ * 启用缓存时（env.configHash 不为空）计算文件的缓存键，与 task.cached 中的缓存键一致且依赖的文件没有变化时直接返回缓存的结果
+ *
+ * @param {{ file: string, diff: string, cached?: { key: string, dependencies: object, result: object } }} task
+ * @param {{ cwd: string, config: object, registry: object, contentSource: string, revision: string, blobHashes: Map<string, string>|null, reportUnused: string, locale: string, configHash?: string }} env
+ *   blobHashes 为 getBlobHashes() 获取的该版本中文件的 blob 哈希，为 null 时逐个文件通过 git 读取
+ * @returns {{ skipReason: string|null, findings: object[], suppressed: object[], errors: object[], durationMs: number, cacheKey?: string, dependencies?: object, fromCache?: boolean }}
+ */
+function checkFile(task, env) {
+  const startTime = Date.now();
+  const result = checkFileContent(task, env);
+  result.durationMs = Date.now() - startTime;
+  return result;
+}
+
+/**
+ * 读取并检查单个文件的内容
+ */
+function checkFileContent({ file, diff, cached }, env) {
+  const { cwd, config, registry, contentSource, revision, blobHashes, reportUnused, locale, configHash } = env;
+  const result = { skipReason: null, findings: [], suppressed: [], errors: [] };
+  const translate = createTranslator(locale);
+  // 规则读取的其他文件（如 declareRequest 定义所在的文件）与被检查的文件来自同一版本
+  const toRelative = absolutePath => path.relative(cwd, absolutePath).split(path.sep).join('/');
+  const readDependency = absolutePath => readFileContent(toRelative(absolutePath), cwd, contentSource, revision, blobHashes);
+  const hashDependency = absolutePath => getFileHash(toRelative(absolutePath), cwd, contentSource, revision, blobHashes);
+
+  try {
+    const content = readFileContent(file, cwd, contentSource, revision, blobHashes);
+    if (content === null) {
+      result.skipReason = 'not-found';
+      return result;
+    }
+
+    if (configHash) {
+      result.cacheKey = getCacheKey({ file, blobHash: getBlobHash(content), diff, configHash });
+      if (cached && cached.key === result.cacheKey && isDependenciesUnchanged(cached.dependencies, hashDependency)) {
+        return { ...cached.result, cacheKey: result.cacheKey, fromCache: true };
+      }
+    }
+
+    const parsed = parseFile(file, content);
+    if (!parsed) {
+      result.skipReason = 'parse-error';
+      return result;
+    }
+
+    const changes = parseFileDiff(diff);
+    const files = createFileReader(readDependency);
+    result.dependencies = files.dependencies;
+
+    // 依次执行注册表中已启用的规则
+    const fileFindings = [];
+    for (const rule of registry.getAll()) {
+      const ruleOptions = resolveRuleOptions(rule, config);
+      if (!isRuleEnabled(ruleOptions)) continue;
+
+      try {
+        const errors = rule.check({ filePath: file, parsed, diff, changes, options: ruleOptions, config, cwd, files, locale: translate.locale, translate });
+        if (errors) {
+          fileFindings.push(...errors
+            .map(error => toFinding(error, rule, file, ruleOptions))
+            .filter(finding => finding.severity !== 'off'));
+        }
+      } catch (checkError) {
+        // 如果规则执行出错，记录错误但继续执行其他规则
+        result.errors.push({ file, message: translate('core.ruleError', { rule: rule.meta.id, file, error: checkError.message }), internal: true });
+      }
+    }
+
+    // 应用行内禁用注释
+    const { findings, suppressed } = applySuppressions(fileFindings, parsed.content, { file, reportUnused, translate });
+    result.suppressed = suppressed;
+
+    // 修改的文件中规则只检查变更的代码，未变更代码上的禁用注释无法判断是否仍被使用，不报告
+    result.findings = findings.filter(finding =>
+      !(finding.rule === SUPPRESSION_RULE_ID && finding.type === 'unused') || changes.isLineAdded(finding.line)
+    );
+
+    // 补全位置信息，并计算代码指纹供基线匹配使用
+    const lines = parsed.content.split('\n');
+    result.suppressed.forEach(finding => completeLocation(finding, lines));
+    result.findings.forEach(finding => {
+      completeLocation(finding, lines);
+      finding.fingerprint = getFingerprint(finding, lines);
+    });
+  } catch (error) {
+    // 读取或解析文件失败时，跳过该文件
+    result.errors.push({ file, message: translate('core.fileError', { file, error: error.message }), internal: true });
+  }
+
+  return result;
+}
+
+module.exports = { checkFile, readFileContent };
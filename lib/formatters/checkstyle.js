@@ -0,0 +1,39 @@
+/**
+ * Checkstyle XML 输出格式
+ *
+ * 每个检查的文件对应一个 file 元素，每个问题对应一个 error 元素，source 为 pre-commit-check.<规则>.<问题类型>
+ */
+
+const { createTranslator } = require('../i18n');
+const { XML_DECLARATION, toAttributes } = require('./xml');
+
+function formatCheckstyle(result) {
+  const t = createTranslator(result.locale);
+  const files = [...result.files];
+
+  // 规则返回的问题可能位于其他文件，按问题中的文件补充
+  result.findings.forEach(finding => {
+    if (!files.includes(finding.file)) files.push(finding.file);
+  });
+
+  const fileElements = files.map(file => {
+    const errors = result.findings
+      .filter(finding => finding.file === file)
+      .map(finding => `    <error${toAttributes({
+        line: finding.line,
+        column: finding.column || undefined,
+        severity: finding.severity === 'warn' ? 'warning' : 'error',
+        message: finding.suggestion ? t('report.withSuggestion', finding) : finding.message,
+        source: ['pre-commit-check', finding.rule, finding.type].filter(Boolean).join('.')
+      })}/>`);
+
+    if (errors.length === 0) {
+      return `  <file${toAttributes({ name: file })}/>`;
+    }
+    return [`  <file${toAttributes({ name: file })}>`, ...errors, '  </file>'].join('\n');
+  });
+
+  return [XML_DECLARATION, '<checkstyle version="4.3">', ...fileElements, '</checkstyle>'].join('\n');
+}
+
+module.exports = formatCheckstyle;
@@ -0,0 +1,40 @@
+/**
+ * GitLab Code Quality 输出格式
+ *
+ * fingerprint 由文件、规则、问题类型和不依赖行号的代码指纹计算得出，在问题上方增删代码不会改变，
+ * GitLab 据此对比合并请求前后新增、已修复的问题；同一文件中完全相同的问题按出现顺序区分
+ */
+
+const crypto = require('crypto');
+
+const SEVERITIES = {
+  error: 'major',
+  warn: 'minor'
+};
+
+function formatGitlab(result) {
+  const occurrences = new Map();
+
+  const issues = result.findings.map(finding => {
+    const identity = [finding.file, finding.rule, finding.type || '', finding.fingerprint].join('\n');
+    const occurrence = occurrences.get(identity) || 0;
+    occurrences.set(identity, occurrence + 1);
+
+    return {
+      type: 'issue',
+      description: finding.message,
+      check_name: finding.rule,
+      fingerprint: crypto.createHash('md5').update(`${identity}\n${occurrence}`).digest('hex'),
+      severity: SEVERITIES[finding.severity] || 'major',
+      content: { body: finding.suggestion },
+      location: {
+        path: finding.file,
+        lines: { begin: Math.max(finding.line, 1), end: Math.max(finding.endLine || finding.line, 1) }
+      }
+    };
+  });
+
+  return JSON.stringify(issues, null, 2);
+}
+
+module.exports = formatGitlab;
@@ -0,0 +1,199 @@
+/**
+ * HTML 输出格式
+ *
+ * 生成单个自包含的 HTML 页面（样式与脚本内联，不依赖网络资源，可离线打开）：
+ * 按规则、目录汇总问题数量，问题列表支持按规则、级别和关键词筛选，每个问题附带上下文代码片段
+ */
+
+const path = require('path');
+const { getRuleName, getSummary } = require('../report');
+const { createTranslator } = require('../i18n');
+
+// 代码片段中问题所在行上下各展示的行数
+const CONTEXT_LINES = 3;
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 按 key 统计 error / warn 数量，按问题总数降序排列
+ */
+function countBy(findings, getKey) {
+  const counts = new Map();
+  findings.forEach(finding => {
+    const key = getKey(finding);
+    const count = counts.get(key) || { key, error: 0, warn: 0 };
+    count[finding.severity === 'warn' ? 'warn' : 'error']++;
+    counts.set(key, count);
+  });
+  return Array.from(counts.values())
+    .sort((a, b) => (b.error + b.warn) - (a.error + a.warn) || a.key.localeCompare(b.key));
+}
+
+/**
+ * 生成问题所在行附近的代码片段
+ */
+function renderExcerpt(source, line, t) {
+  if (source === null || source === undefined) {
+    return `<p class="muted">${t('html.sourceUnavailable')}</p>`;
+  }
+
+  const lines = source.split('\n');
+  const start = Math.max(1, line - CONTEXT_LINES);
+  const end = Math.min(lines.length, Math.max(line, 1) + CONTEXT_LINES);
+  const rows = [];
+  for (let number = start; number <= end; number++) {
+    const className = number === line ? ' class="hl"' : '';
+    rows.push(`<tr${className}><td class="ln">${number}</td><td class="code">${escapeHtml(lines[number - 1])}</td></tr>`);
+  }
+  return `<table class="excerpt">${rows.join('')}</table>`;
+}
+
+function renderCountTable(title, keyTitle, counts, renderKey, t) {
+  const rows = counts.map(count => `
+        <tr><td>${renderKey(count.key)}</td><td class="num error">${count.error}</td><td class="num warn">${count.warn}</td></tr>`).join('');
+  return `
+    <section class="card">
+      <h2>${title}</h2>
+      <table class="summary">
+        <thead><tr><th>${keyTitle}</th><th>${t('html.severity.error')}</th><th>${t('html.severity.warn')}</th></tr></thead>
+        <tbody>${rows || `<tr><td colspan="3" class="muted">${t('html.none')}</td></tr>`}
+        </tbody>
+      </table>
+    </section>`;
+}
+
+const STYLE = `
+  body { margin: 0; padding: 24px; font: 14px/1.6 -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; color: #1f2328; background: #f6f8fa; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 0 0 12px; }
+  .muted { color: #656d76; }
+  .stats { display: flex; gap: 12px; margin: 16px 0; flex-wrap: wrap; }
+  .stat { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 8px 16px; }
+  .stat b { display: block; font-size: 20px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(360px, 1fr)); gap: 16px; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  .num { text-align: right; width: 60px; }
+  .error { color: #cf222e; }
+  .warn { color: #9a6700; }
+  .badge { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 12px; color: #fff; }
+  .badge.error { background: #cf222e; }
+  .badge.warn { background: #bf8700; }
+  .filters { display: flex; gap: 8px; margin-bottom: 12px; flex-wrap: wrap; }
+  .filters select, .filters input { padding: 4px 8px; border: 1px solid #d0d7de; border-radius: 6px; font: inherit; }
+  .filters input { flex: 1; min-width: 200px; }
+  .file { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; word-break: break-all; }
+  .suggestion { color: #0969da; }
+  details summary { cursor: pointer; color: #656d76; }
+  .excerpt { margin-top: 8px; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; background: #f6f8fa; }
+  .excerpt td { border: 0; padding: 0 8px; white-space: pre; }
+  .excerpt .ln { color: #8c959f; text-align: right; width: 1%; user-select: none; }
+  .excerpt .hl { background: #ffebe9; }
+`;
+
+const SCRIPT = `
+  (function () {
+    var rule = document.getElementById('filter-rule');
+    var severity = document.getElementById('filter-severity');
+    var keyword = document.getElementById('filter-keyword');
+    var count = document.getElementById('filter-count');
+    var items = Array.prototype.slice.call(document.querySelectorAll('tbody.finding'));
+    function update() {
+      var text = keyword.value.trim().toLowerCase();
+      var visible = 0;
+      items.forEach(function (item) {
+        var show = (!rule.value || item.dataset.rule === rule.value) &&
+          (!severity.value || item.dataset.severity === severity.value) &&
+          (!text || item.dataset.search.indexOf(text) !== -1);
+        item.style.display = show ? '' : 'none';
+        if (show) visible++;
+      });
+      count.textContent = visible + ' / ' + items.length;
+    }
+    [rule, severity].forEach(function (el) { el.addEventListener('change', update); });
+    keyword.addEventListener('input', update);
+    update();
+  })();
+`;
+
+function formatHtml(result, context) {
+  const translate = createTranslator(result.locale);
+  const t = (id, data) => escapeHtml(translate(id, data));
+  const summary = getSummary(result);
+  const findings = result.findings;
+  const ruleName = ruleId => getRuleName(result.registry, ruleId, result.locale);
+
+  const ruleCounts = countBy(findings, finding => finding.rule);
+  const directoryCounts = countBy(findings, finding => path.posix.dirname(finding.file.replace(/\\/g, '/')));
+
+  const ruleOptions = ruleCounts
+    .map(count => `<option value="${escapeHtml(count.key)}">${escapeHtml(count.key)} ${escapeHtml(ruleName(count.key))}</option>`)
+    .join('');
+
+  const findingRows = findings.map(finding => {
+    const location = `${finding.file}:${finding.line}${finding.column ? `:${finding.column}` : ''}`;
+    const search = [finding.file, finding.rule, ruleName(finding.rule), finding.message, finding.suggestion].join(' ').toLowerCase();
+    return `
+        <tbody class="finding" data-rule="${escapeHtml(finding.rule)}" data-severity="${finding.severity}" data-search="${escapeHtml(search)}">
+          <tr>
+            <td><span class="badge ${finding.severity}">${t(`html.severity.${finding.severity}`)}</span></td>
+            <td>${escapeHtml(finding.rule)}<br><span class="muted">${escapeHtml(ruleName(finding.rule))}</span></td>
+            <td class="file">${escapeHtml(location)}</td>
+            <td>
+              <div>${escapeHtml(finding.message)}</div>
+              ${finding.suggestion ? `<div class="suggestion">${t('html.suggestion', finding)}</div>` : ''}
+              <details><summary>${t('html.excerpt')}</summary>${renderExcerpt(result.getSource(finding.file), finding.line, t)}</details>
+            </td>
+          </tr>
+        </tbody>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${result.locale}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${t('html.title')} - ${escapeHtml(result.target.name)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+  <h1>${t('html.title')}</h1>
+  <div class="muted">${escapeHtml(context.toolName)} ${escapeHtml(context.toolVersion)} · ${t('html.meta', { target: result.target.name, time: result.timing.startedAt, duration: result.timing.durationMs })}</div>
+
+  <div class="stats">
+    <div class="stat"><b>${summary.files}</b>${t('html.stat.files')}</div>
+    <div class="stat error"><b>${summary.errors}</b>${t('html.stat.errors')}</div>
+    <div class="stat warn"><b>${summary.warnings}</b>${t('html.stat.warnings')}</div>
+    <div class="stat"><b>${summary.suppressed}</b>${t('html.stat.suppressed')}</div>
+    <div class="stat"><b>${summary.baselined}</b>${t('html.stat.baselined')}</div>
+    <div class="stat"><b>${summary.skipped}</b>${t('html.stat.skipped')}</div>
+  </div>
+
+  <div class="grid">${renderCountTable(t('html.byRule'), t('html.column.rule'), ruleCounts, key => `${escapeHtml(key)} <span class="muted">${escapeHtml(ruleName(key))}</span>`, t)}${renderCountTable(t('html.byDirectory'), t('html.column.directory'), directoryCounts, key => `<span class="file">${escapeHtml(key)}</span>`, t)}
+  </div>
+
+  <section class="card">
+    <h2>${t('html.findings')} <span class="muted" id="filter-count"></span></h2>
+    <div class="filters">
+      <select id="filter-rule"><option value="">${t('html.allRules')}</option>${ruleOptions}</select>
+      <select id="filter-severity"><option value="">${t('html.allSeverities')}</option><option value="error">${t('html.severity.error')}</option><option value="warn">${t('html.severity.warn')}</option></select>
+      <input id="filter-keyword" type="search" placeholder="${t('html.searchPlaceholder')}">
+    </div>
+    <table>
+      <thead><tr><th>${t('html.column.severity')}</th><th>${t('html.column.rule')}</th><th>${t('html.column.location')}</th><th>${t('html.column.problem')}</th></tr></thead>${findingRows || `\n        <tbody><tr><td colspan="4" class="muted">${t('html.noFindings')}</td></tr></tbody>`}
+    </table>
+  </section>
+<script>${SCRIPT}</script>
+</body>
+</html>`;
+}
+
+module.exports = formatHtml;
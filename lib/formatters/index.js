@@ -0,0 +1,33 @@
+/**
+ * 输出格式
+ *
+ * 每个输出格式导出 format(result, context) 函数，返回需要输出的字符串；
+ * context 包含 toolName、toolVersion、cwd，配置了链接模板时还包含 links: { template, repo, sha }；
+ * 默认的 console 格式直接由 runChecks 输出到控制台，不在此注册
+ */
+
+const FORMATTERS = {
+  json: require('./json'),
+  sarif: require('./sarif'),
+  junit: require('./junit'),
+  checkstyle: require('./checkstyle'),
+  gitlab: require('./gitlab'),
+  html: require('./html'),
+  markdown: require('./markdown')
+};
+
+/**
+ * 获取输出格式，不存在时返回 null
+ */
+function getFormatter(name) {
+  return Object.prototype.hasOwnProperty.call(FORMATTERS, name) ? FORMATTERS[name] : null;
+}
+
+/**
+ * 获取所有可用的输出格式名称
+ */
+function getFormatterNames() {
+  return ['console', ...Object.keys(FORMATTERS)];
+}
+
+module.exports = { getFormatter, getFormatterNames };
@@ -0,0 +1,40 @@
+/**
+ * JSON 输出格式
+ *
+ * 输出带版本号的 JSON 文档，字段只增不改；结构不兼容的调整会提升 schemaVersion
+ */
+
+const { getRuleName, getSummary } = require('../report');
+
+const SCHEMA_VERSION = 1;
+
+function formatJson(result, context) {
+  const document = {
+    schemaVersion: SCHEMA_VERSION,
+    tool: { name: context.toolName, version: context.toolVersion },
+    target: result.target,
+    summary: getSummary(result),
+    findings: result.findings.map(finding => ({
+      rule: finding.rule,
+      ruleName: getRuleName(result.registry, finding.rule, result.locale),
+      type: finding.type,
+      severity: finding.severity,
+      file: finding.file,
+      line: finding.line,
+      column: finding.column,
+      endLine: finding.endLine,
+      endColumn: finding.endColumn,
+      message: finding.message,
+      suggestion: finding.suggestion,
+      fingerprint: finding.fingerprint
+    })),
+    files: result.files,
+    skipped: result.skipped,
+    errors: result.errors.map(error => ({ file: error.file, message: error.message })),
+    timing: result.timing
+  };
+
+  return JSON.stringify(document, null, 2);
+}
+
+module.exports = formatJson;
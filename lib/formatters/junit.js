@@ -0,0 +1,84 @@
+/**
+ * JUnit XML 输出格式
+ *
+ * 每个规则对应一个 testsuite，每个检查的文件对应一个 testcase，文件中该规则 error 级别的问题合并为一个 failure
+ * （一个 testcase 只能有一个 failure）；warn 级别的问题不算失败，写入 testcase 的 system-out
+ */
+
+const { SUPPRESSION_RULE_ID } = require('../suppressions');
+const { getRuleMeta, getRuleName } = require('../report');
+const { createTranslator } = require('../i18n');
+const { XML_DECLARATION, escapeXml, toAttributes } = require('./xml');
+
+/**
+ * 问题的文字描述
+ */
+function describeFinding(finding, t) {
+  return [
+    `${finding.file}:${finding.line}${finding.column ? `:${finding.column}` : ''}`,
+    t('check.problem', finding),
+    t('check.suggestion', finding)
+  ].join('\n');
+}
+
+function formatJunit(result, context) {
+  const t = createTranslator(result.locale);
+  const fileSeconds = file => ((result.timing.files[file] || 0) / 1000).toFixed(3);
+
+  const rules = [
+    ...result.registry.getAll().map(rule => rule.meta),
+    getRuleMeta(result.registry, SUPPRESSION_RULE_ID)
+  ];
+
+  let totalFailures = 0;
+  const suites = rules.map(meta => {
+    const ruleFindings = result.findings.filter(finding => finding.rule === meta.id);
+    let failures = 0;
+
+    const testcases = result.files.map(file => {
+      const fileFindings = ruleFindings.filter(finding => finding.file === file);
+      const attributes = toAttributes({ classname: meta.id, name: file, time: fileSeconds(file) });
+      if (fileFindings.length === 0) {
+        return `    <testcase${attributes}/>`;
+      }
+
+      const children = [];
+      const errors = fileFindings.filter(finding => finding.severity === 'error');
+      if (errors.length > 0) {
+        failures++;
+        const types = [...new Set(errors.map(finding => finding.type || meta.id))];
+        const failureAttributes = toAttributes({
+          message: errors.map(finding => finding.message).join('; '),
+          type: types.length === 1 ? types[0] : meta.id
+        });
+        children.push(`      <failure${failureAttributes}>${escapeXml(errors.map(finding => describeFinding(finding, t)).join('\n\n'))}</failure>`);
+      }
+      const warnings = fileFindings.filter(finding => finding.severity === 'warn');
+      if (warnings.length > 0) {
+        children.push(`      <system-out>${escapeXml(warnings.map(finding => t('report.warning', { text: describeFinding(finding, t) })).join('\n\n'))}</system-out>`);
+      }
+      return [`    <testcase${attributes}>`, ...children, '    </testcase>'].join('\n');
+    });
+
+    totalFailures += failures;
+    const suiteAttributes = toAttributes({
+      name: `${meta.id} ${getRuleName(result.registry, meta.id, result.locale)}`,
+      tests: result.files.length,
+      failures,
+      errors: 0
+    });
+    return [`  <testsuite${suiteAttributes}>`, ...testcases, '  </testsuite>'].join('\n');
+  });
+
+  const rootAttributes = toAttributes({
+    name: context.toolName,
+    tests: result.files.length * rules.length,
+    failures: totalFailures,
+    errors: 0,
+    time: (result.timing.durationMs / 1000).toFixed(3)
+  });
+
+  return [XML_DECLARATION, `<testsuites${rootAttributes}>`, ...suites, '</testsuites>'].join('\n');
+}
+
+module.exports = formatJunit;
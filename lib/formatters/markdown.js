@@ -0,0 +1,89 @@
+/**
+ * Markdown 输出格式
+ *
+ * 适合粘贴到合并请求的讨论中：第一行给出检查结论，随后按规则输出问题表格，
+ * 修复建议放在可折叠的 <details> 中。配置了链接模板时，问题位置链接到代码托管平台上的文件
+ */
+
+const { getRuleName, getSummary } = require('../report');
+const { createTranslator } = require('../i18n');
+
+/**
+ * 转义表格单元格中的内容：| 会打断表格，< > 会被当作 HTML 标签，换行会打断表格行
+ */
+function escapeCell(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * 根据链接模板生成文件链接，模板支持 {repo}、{sha}、{path}、{line} 占位符
+ *
+ * @param {{ template: string, repo: string, sha: string }|null} links
+ */
+function getFileLink(links, file, line) {
+  if (!links || !links.template) return null;
+  const values = {
+    repo: links.repo,
+    sha: links.sha,
+    path: file.replace(/\\/g, '/').split('/').map(encodeURIComponent).join('/'),
+    line
+  };
+  return links.template.replace(/\{(repo|sha|path|line)\}/g, (placeholder, name) => values[name]);
+}
+
+function formatMarkdown(result, context) {
+  const t = createTranslator(result.locale);
+  const summary = getSummary(result);
+
+  const verdict = summary.passed
+    ? `✅ ${t(summary.warnings > 0 ? 'markdown.passedWithWarnings' : 'markdown.passed', summary)}`
+    : `❌ ${t('markdown.failed', summary)}`;
+  const lines = [`**${context.toolName}**: ${verdict}`];
+
+  // 按规则分组，保持问题的检查顺序
+  const groups = new Map();
+  result.findings.forEach(finding => {
+    if (!groups.has(finding.rule)) groups.set(finding.rule, []);
+    groups.get(finding.rule).push(finding);
+  });
+
+  Array.from(groups.keys()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).forEach(rule => {
+    const findings = groups.get(rule);
+    lines.push(
+      '',
+      `### ${escapeCell(rule)} ${escapeCell(getRuleName(result.registry, rule, result.locale))} (${findings.length})`,
+      '',
+      `| ${t('markdown.column.severity')} | ${t('markdown.column.location')} | ${t('markdown.column.problem')} |`,
+      '| --- | --- | --- |'
+    );
+    findings.forEach(finding => {
+      const location = `${finding.file}:${finding.line}`;
+      const link = getFileLink(context.links, finding.file, finding.line);
+      const severity = finding.severity === 'warn' ? `🟡 ${t('markdown.severity.warn')}` : `🔴 ${t('markdown.severity.error')}`;
+      lines.push(`| ${severity} | ${link ? `[${escapeCell(location)}](${link})` : `\`${location.replace(/`/g, "'")}\``} | ${escapeCell(finding.message)} |`);
+    });
+
+    // 同一规则的修复建议大多相同，只列出不重复的建议
+    const suggestions = Array.from(new Set(findings.map(finding => finding.suggestion).filter(Boolean)));
+    if (suggestions.length > 0) {
+      lines.push(
+        '',
+        `<details><summary>${t('markdown.suggestions')}</summary>`,
+        '',
+        // 建议以“1. ”开头时转义，避免被渲染为嵌套的有序列表
+        ...suggestions.map(suggestion => `- ${escapeCell(suggestion).replace(/^(\d+)\./, '$1\\.')}`),
+        '',
+        '</details>'
+      );
+    }
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = formatMarkdown;
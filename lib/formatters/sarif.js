@@ -0,0 +1,108 @@
+/**
+ * SARIF 2.1.0 输出格式
+ *
+ * 每个已注册的规则（包括行内禁用注释）对应一个 reportingDescriptor，每个问题对应一个 result，
+ * 修复建议写在 result 的消息中，同时保留在 properties.suggestion
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { SUPPRESSION_RULE_ID } = require('../suppressions');
+const { getRuleMeta, getSummary } = require('../report');
+const { createTranslator } = require('../i18n');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = '%SRCROOT%';
+
+/**
+ * 将相对路径转换为 URI（中文等字符需要编码）
+ */
+function toUri(file) {
+  return file.split(/[\\/]/).map(encodeURIComponent).join('/');
+}
+
+/**
+ * 将规则元信息转换为 reportingDescriptor
+ */
+function toReportingDescriptor(meta) {
+  const descriptor = {
+    id: meta.id,
+    name: meta.englishName || meta.name,
+    shortDescription: { text: meta.name },
+    fullDescription: { text: (meta.docs && meta.docs.description) || meta.name },
+    properties: {
+      names: { 'zh-CN': meta.name, 'en-US': meta.englishName || meta.name }
+    }
+  };
+  if (meta.types) {
+    descriptor.properties.types = meta.types;
+  }
+  return descriptor;
+}
+
+function formatSarif(result, context) {
+  const t = createTranslator(result.locale);
+  const rules = [
+    ...result.registry.getAll().map(rule => rule.meta),
+    getRuleMeta(result.registry, SUPPRESSION_RULE_ID)
+  ];
+  const ruleIndexes = new Map(rules.map((meta, index) => [meta.id, index]));
+
+  const results = result.findings.map(finding => {
+    const region = { startLine: Math.max(finding.line, 1) };
+    if (finding.column) {
+      region.startColumn = finding.column;
+    }
+    if (finding.endLine) {
+      region.endLine = finding.endLine;
+      region.endColumn = finding.endColumn;
+    }
+
+    return {
+      ruleId: finding.rule,
+      ruleIndex: ruleIndexes.get(finding.rule),
+      level: finding.severity === 'warn' ? 'warning' : 'error',
+      message: {
+        text: finding.suggestion ? `${finding.message}\n${t('check.suggestion', finding)}` : finding.message
+      },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: toUri(finding.file), uriBaseId: SRCROOT },
+          region
+        }
+      }],
+      partialFingerprints: { 'preCommitCheck/v1': finding.fingerprint },
+      properties: { type: finding.type, suggestion: finding.suggestion }
+    };
+  });
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: context.toolName,
+          version: context.toolVersion,
+          rules: rules.map(toReportingDescriptor)
+        }
+      },
+      originalUriBaseIds: {
+        [SRCROOT]: { uri: pathToFileURL(context.cwd + path.sep).href }
+      },
+      invocations: [{
+        executionSuccessful: !result.errors.some(error => error.fatal),
+        toolExecutionNotifications: result.errors.map(error => ({
+          level: error.fatal ? 'error' : 'warning',
+          message: { text: error.message }
+        })),
+        properties: { summary: getSummary(result) }
+      }],
+      results
+    }]
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+module.exports = formatSarif;
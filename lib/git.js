@@ -0,0 +1,174 @@
+/**
+ * Git 操作
+ */
+
+const { execSync, execFileSync } = require('child_process');
+
+/**
+ * 获取 Git 暂存区文件变更
+ */
+function getStagedFiles(cwd = process.cwd()) {
+  // core.quotepath=false：避免中文文件名被转义
+  const result = execSync('git -c core.quotepath=false diff --cached --name-only --diff-filter=AMR', { cwd, encoding: 'utf-8' });
+  return result.split('\n').filter(Boolean);
+}
+
+/**
+ * 获取 Git 已跟踪的所有文件
+ */
+function getTrackedFiles(cwd = process.cwd()) {
+  const result = execSync('git -c core.quotepath=false ls-files', { cwd, encoding: 'utf-8' });
+  return result.split('\n').filter(Boolean);
+}
+
+/**
+ * 获取暂存区所有文件的新增/修改内容（diff），开启重命名检测
+ */
+function getStagedDiff(cwd = process.cwd()) {
+  try {
+    return execSync('git -c core.quotepath=false diff --cached -M', { cwd, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * 获取提交范围内新增/修改/重命名的文件
+ *
+ * 使用 from...to 比较两者的合并基点与 to，检查分支时不会把目标分支上的新提交算作变更
+ */
+function getChangedFiles(from, to, cwd = process.cwd()) {
+  const result = execFileSync('git', ['-c', 'core.quotepath=false', 'diff', '--name-only', '--diff-filter=AMR', `${from}...${to}`], {
+    cwd,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  return result.split('\n').filter(Boolean);
+}
+
+/**
+ * 获取提交范围内所有文件的 diff，开启重命名检测
+ */
+function getRangeDiff(from, to, cwd = process.cwd()) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotepath=false', 'diff', '-M', `${from}...${to}`], {
+      cwd,
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * 获取文件在指定版本中的内容，revision 为空字符串时读取暂存区（index），文件不存在时返回 null
+ */
+function getRevisionContent(filePath, revision, cwd = process.cwd()) {
+  try {
+    // <revision>:./path 表示相对 cwd 的路径
+    return execFileSync('git', ['show', `${revision}:./${filePath}`], {
+      cwd,
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 一次性获取指定版本中 cwd 下所有文件的 blob 哈希，revision 为空字符串时读取暂存区（index），获取失败时返回 null
+ *
+ * @returns {Map<string, string>|null} 相对 cwd 的路径（/ 分隔）到 blob 哈希的映射，不含子模块、符号链接与冲突中的文件
+ */
+function getBlobHashes(revision, cwd = process.cwd()) {
+  const args = revision ? ['ls-tree', '-r', '-z', revision] : ['ls-files', '-s', '-z'];
+  let output;
+  try {
+    output = execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+  } catch (e) {
+    return null;
+  }
+
+  const hashes = new Map();
+  output.split('\0').filter(Boolean).forEach(entry => {
+    const tabIndex = entry.indexOf('\t');
+    // ls-tree：<mode> <type> <hash>；ls-files -s：<mode> <hash> <stage>
+    const fields = entry.slice(0, tabIndex).split(' ');
+    const [mode, hash] = revision ? [fields[0], fields[2]] : [fields[0], fields[1]];
+    const isConflict = !revision && fields[2] !== '0';
+    if ((mode === '100644' || mode === '100755') && !isConflict) {
+      hashes.set(entry.slice(tabIndex + 1), hash);
+    }
+  });
+  return hashes;
+}
+
+/**
+ * 获取文件在暂存区（index）中的内容，文件不在暂存区时返回 null
+ */
+function getStagedContent(filePath, cwd = process.cwd()) {
+  return getRevisionContent(filePath, '', cwd);
+}
+
+/**
+ * 获取提交的完整 SHA，获取失败时返回空字符串
+ */
+function getCommitSha(revision = 'HEAD', cwd = process.cwd()) {
+  try {
+    return execFileSync('git', ['rev-parse', '--verify', `${revision}^{commit}`], {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * 从 origin 远程地址中获取仓库路径（如 group/project），获取失败时返回空字符串
+ *
+ * 支持 git@host:group/project.git 与 https://host/group/project.git 两种写法
+ */
+function getRepositoryName(cwd = process.cwd()) {
+  let url;
+  try {
+    url = execFileSync('git', ['remote', 'get-url', 'origin'], {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim().replace(/\.git$/, '').replace(/\/+$/, '');
+  } catch (e) {
+    return '';
+  }
+
+  const scpMatch = url.match(/^[^/@:]+@[^/:]+:(.+)$/);
+  if (scpMatch) return scpMatch[1].replace(/^\/+/, '');
+  try {
+    return new URL(url).pathname.replace(/^\/+/, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+module.exports = {
+  getStagedFiles,
+  getTrackedFiles,
+  getStagedDiff,
+  getStagedContent,
+  getChangedFiles,
+  getRangeDiff,
+  getRevisionContent,
+  getBlobHashes,
+  getCommitSha,
+  getRepositoryName
+};
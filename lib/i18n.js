@@ -0,0 +1,78 @@
+/**
+ * 多语言文案
+ *
+ * 文案按 id 存放在 lib/locales/<locale>.js 中，使用 {name} 作为占位符。
+ * 语言的确定顺序：--locale 参数 > 配置中的 global.locale > 环境变量 LC_ALL / LC_MESSAGES / LANG > zh-CN
+ */
+
+const LOCALES = {
+  'zh-CN': require('./locales/zh-CN'),
+  'en-US': require('./locales/en-US')
+};
+
+const DEFAULT_LOCALE = 'zh-CN';
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+/**
+ * 将 zh、zh_CN.UTF-8、en-GB 等写法归一为支持的语言，不支持时返回 null
+ */
+function normalizeLocale(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const language = value.split(/[.@]/)[0].replace(/_/g, '-').toLowerCase();
+  return SUPPORTED_LOCALES.find(locale => {
+    const [localeLanguage] = locale.toLowerCase().split('-');
+    return language === locale.toLowerCase() || language === localeLanguage || language.startsWith(`${localeLanguage}-`);
+  }) || null;
+}
+
+/**
+ * 从环境变量中识别语言，都未设置时返回 null
+ *
+ * C / POSIX（含 C.UTF-8）不表示具体语言，常见于容器和 CI 的 LC_ALL，跳过并继续查找下一个环境变量
+ */
+function detectLocale(env = process.env) {
+  const value = [env.LC_ALL, env.LC_MESSAGES, env.LANG].find(item => item && !/^(C|POSIX)([.@]|$)/.test(item));
+  return normalizeLocale(value);
+}
+
+/**
+ * 确定使用的语言
+ *
+ * @param {string} [locale] - 显式指定的语言（--locale 或 API 参数）
+ * @param {object} [config] - 配置对象，读取 global.locale
+ */
+function resolveLocale(locale, config) {
+  return normalizeLocale(locale) ||
+    normalizeLocale(config && config.global && config.global.locale) ||
+    detectLocale() ||
+    DEFAULT_LOCALE;
+}
+
+/**
+ * 创建指定语言的翻译函数：t(id, data)
+ *
+ * 当前语言缺少的文案回退到 zh-CN，仍找不到时返回 id 本身
+ */
+function createTranslator(locale) {
+  const resolved = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const messages = LOCALES[resolved];
+  const fallback = LOCALES[DEFAULT_LOCALE];
+
+  const t = (id, data = {}) => {
+    const template = messages[id] !== undefined ? messages[id] : fallback[id];
+    if (template === undefined) return id;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (data[name] !== undefined ? String(data[name]) : placeholder));
+  };
+  t.locale = resolved;
+  return t;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  detectLocale,
+  resolveLocale,
+  createTranslator
+};
@@ -0,0 +1,237 @@
+/**
+ * English messages
+ */
+
+module.exports = {
+  // rule1: duplicate-submit protection
+  'rule1.missingProtection.message': 'The click handler "{handler}" of a new button calls an API but has no duplicate-submit protection',
+  'rule1.missingProtection.suggestion': '1. Bind a loading state to the button: set loading to true before the request and back to false afterwards; 2. Bind a disabled state to the button; 3. Wrap the request in a debounce (delay >= 500ms); 4. Guard the submission with a boolean lock',
+  'rule1.loadingNotBound.message': 'The click handler "{handler}" of a new button defines a loading state, but it is not used in JSX (e.g. Modal confirmLoading or Button loading)',
+  'rule1.loadingNotBound.suggestion': 'Bind the loading state to the Modal/Drawer/Button, for example: <Modal confirmLoading={loading} onOk={{handler}}> or <Button loading={loading} onClick={{handler}}>',
+  'rule1.wrongLoading.message': 'The click handler "{handler}" of a new button uses the loading state of another API; use the loading of "{loadingName}" instead',
+  'rule1.wrongLoading.suggestion': 'Use the correct loading variable; the loading for this API is "{loadingName}". Check the props destructuring and the loading binding on the component',
+  'rule1.debounceDelay.message': 'The click handler "{handler}" of a new button is debounced/throttled with a delay of {delay}ms, which is less than 500ms and does not prevent duplicate submits',
+  'rule1.debounceDelay.suggestion': 'Increase the debounce/throttle delay to at least 500ms, or bind a loading state to the button',
+
+  // rule2: loading on first load
+  'rule2.page.list': 'list page',
+  'rule2.page.detail': 'detail page',
+  'rule2.missingLoading.message': 'The new {page} calls a data query API on first load without showing and hiding a loading state',
+  'rule2.missingLoading.suggestion': '1. Wrap the request with the global loading helper; 2. Add a page-level Spin component bound to an isLoading state',
+
+  // rule3: success toast
+  'rule3.operation.business': 'business operation',
+  'rule3.operation.data': 'data operation',
+  'rule3.missingSuccessTip.message': 'The {method} request ({operation}) does not show a success toast after it succeeds',
+  'rule3.missingSuccessTip.suggestion': '1. Call message.success(\'Saved\'); 2. Use the project\'s shared success notification helper; 3. If the page navigates away, make sure the target page shows the success message',
+
+  // rule4: empty state
+  'rule4.missingEmptyState.message': 'This list does not use a Table component and has no custom empty state when the data is empty',
+  'rule4.missingEmptyState.suggestion': '1. Conditionally render a "No data" text; 2. Use the project\'s shared Empty component; 3. Add an empty-state illustration with guidance text',
+
+  // rule5: placeholder
+  'rule5.missingPlaceholder.message': 'The new form input "{component}" has no placeholder',
+  'rule5.missingPlaceholder.suggestion': 'Add a placeholder to {component} to guide the user, for example: <{component} placeholder="Please enter..." />',
+
+  // inline suppression comments
+  'suppression.allRules': 'all rules',
+  'suppression.reason': 'reason',
+  'suppression.missingReason.message': 'The suppression comment {directive} ({target}) has no reason and is ignored',
+  'suppression.missingReason.suggestion': 'Add a reason after -- at the end of the comment, for example: {example}',
+  'suppression.unused.message': 'The suppression comment {directive} ({target}) does not match any problem',
+  'suppression.unused.suggestion': 'The problem has been fixed or the code has moved; remove or update this suppression comment',
+
+  // check flow
+  'core.configNotFound': 'Unable to load the config file {file}',
+  'core.target.all': 'repository',
+  'core.target.staged': 'staged',
+  'core.rangeFilesFailed': 'Unable to list the files changed in {target}; check that the revision range is correct',
+  'core.filesFailed': 'Unable to list Git {target} files',
+  'core.ruleError': 'Error while running rule {rule} on {file}: {error}',
+  'core.fileError': 'Error while checking {file}: {error}',
+  'core.workerExited': 'A check worker exited unexpectedly (exit code {code})',
+
+  // config validation
+  'config.fileNotFound': 'Config file {file} does not exist',
+  'config.loadFailed': 'Unable to load config file {file}: {error}',
+  'config.notObject': 'Config file {file} must export an object',
+  'config.unknownPreset': 'Unknown preset {preset}, available: {presets}',
+  'config.extendsNotFound': 'Cannot find config {specifier} in extends, make sure the npm package is installed',
+  'config.invalidExtends': 'extends must be a string or an array of strings',
+  'config.circularExtends': 'Circular extends: {chain}',
+  'config.invalid': 'Invalid config file {file}:',
+  'config.invalidOptions': 'Invalid config:',
+  'config.unknownKey': '{path}: unknown option',
+  'config.unknownKeySuggestion': '{path}: unknown option. Did you mean {suggestion}?',
+  'config.missingKey': '{path}: missing option {key}',
+  'config.invalidType': '{path}: expected {expected}, got {actual}',
+  'config.invalidValue': '{path}: expected one of {values}, got {actual}',
+  'config.minimum': '{path}: must be at least {minimum}, got {actual}',
+  'config.or': ' or ',
+  'config.type.string': 'a string',
+  'config.type.boolean': 'a boolean',
+  'config.type.integer': 'an integer',
+  'config.type.number': 'a number',
+  'config.type.array': 'an array',
+  'config.type.object': 'an object',
+  'config.type.null': 'null',
+  'config.type.undefined': 'undefined',
+  'config.type.function': 'a function',
+
+  // rule registry
+  'registry.invalidRule': 'Invalid rule module {source}: it must export meta.id and check(context)',
+  'registry.duplicateRule': 'Rule {id} is registered more than once (source: {source})',
+  'registry.loadFailed': 'Unable to load custom rule {specifier}: {error}',
+
+  // console output
+  'check.unsupportedFormat': 'Unsupported output format {format}; available: {formats}',
+  'check.outputFileWithoutFormat': '--output-file requires --format, for example: --format junit --output-file report.xml',
+  'check.configHint': 'Make sure the project has a config file ({files}, or a commitCheck key in package.json), or pass one with --config',
+  'check.configFileSeparator': ', ',
+  'check.configCopyHint': 'or run in the project root: cp node_modules/pre-commit-check/{file} .',
+  'check.outputWritten': 'Checked {files} file(s), found {errors} error(s) and {warnings} warning(s); results written to {outputFile}',
+  'check.noStagedFiles': 'No staged files to check',
+  'check.noFiles': 'No files to check',
+  'check.start': 'Checking {count} file(s)...',
+  'check.cacheHits': '{count} file(s) unchanged, using cached results',
+  'check.internalError': 'The files above were not fully checked because of internal errors in the check tool; the commit is not blocked. Use --fail-on-internal-error to block commits on such errors',
+  'check.internalErrorFailed': 'Internal error in the check tool; {count} file(s) were not fully checked and the commit is blocked. Review the code or contact the maintainers',
+  'check.suppressed': '{count} problem(s) suppressed by inline comments',
+  'check.baselined': '{count} known problem(s) ignored by the baseline',
+  'check.baselineFixed': '{count} problem(s) in the baseline no longer occur; if they are fixed, run pre-commit-check baseline to update the baseline file',
+  'check.status.error': 'failed',
+  'check.status.warn': 'warning',
+  'check.findingTitle': '[Rule {rule} {status}] - {name}',
+  'check.location': 'Location: {location}',
+  'check.problem': 'Problem: {message}',
+  'check.suggestion': 'Suggestion: {suggestion}',
+  'check.warningsHeader': 'Found the following warnings (commit not blocked):',
+  'check.failedHeader': 'Code check failed with the following problems:',
+  'check.fixAndRetry': 'Please fix the problems above and commit again.',
+  'check.skipHint': 'Tip: to skip the check in an emergency, use git commit --no-verify',
+  'check.passedWithWarnings': 'Check passed ({count} warning(s))',
+  'check.passed': 'All checks passed!',
+  'check.unsupportedGroupBy': 'Unsupported grouping {groupBy}; available: {values}',
+  'check.groupCount': ' ({errors} error(s), {warnings} warning(s))',
+  'check.summary.title': 'Summary',
+  'check.summary.rule': 'Rule',
+  'check.summary.errors': 'Errors',
+  'check.summary.warnings': 'Warnings',
+  'check.summary.total': 'Total',
+  'check.summary.files': 'Files: {checked} checked, {skipped} skipped, {parseErrors} failed to parse',
+  'check.summary.duration': 'Time: {duration}ms',
+
+  // baseline
+  'baseline.written': 'Checked {files} file(s) and wrote {findings} problem(s) ({entries} entries) to the baseline file {path}',
+  'baseline.commitHint': 'Tip: commit the baseline file; later checks only report problems not in the baseline',
+  'baseline.invalidJson': 'Baseline file {file} is not valid JSON: {error}',
+  'baseline.invalidFormat': 'Baseline file {file} has an invalid format; run pre-commit-check baseline to regenerate it',
+
+  // command line
+  'cli.installScriptNotFound': 'Unable to find the install script',
+  'cli.toWithoutFrom': '--to requires --from',
+  'cli.unsupportedLocale': 'Unsupported locale {locale}; available: {locales}',
+  'cli.crashed': 'The check tool crashed: {error}',
+  'cli.missingValue': 'Option {option} requires a value',
+  'cli.unknownOption': 'Unknown option {option}',
+  'cli.unknownOptionSuggestion': 'Unknown option {option}. Did you mean {suggestion}?',
+  'cli.invalidPositiveInteger': 'Option {option} must be a positive integer, got {value}',
+
+  // output formats
+  'report.unknownRule': 'Unknown rule',
+  'report.warning': '[Warning] {text}',
+  'report.withSuggestion': '{message} (Suggestion: {suggestion})',
+  'html.title': 'Code Check Report',
+  'html.meta': 'Scope: {target} · Generated at: {time} · Took {duration}ms',
+  'html.stat.files': 'Files checked',
+  'html.stat.errors': 'Errors',
+  'html.stat.warnings': 'Warnings',
+  'html.stat.suppressed': 'Suppressed',
+  'html.stat.baselined': 'In baseline',
+  'html.stat.skipped': 'Files skipped',
+  'html.byRule': 'By rule',
+  'html.byDirectory': 'By directory',
+  'html.column.rule': 'Rule',
+  'html.column.directory': 'Directory',
+  'html.column.severity': 'Severity',
+  'html.column.location': 'Location',
+  'html.column.problem': 'Problem',
+  'html.severity.error': 'Error',
+  'html.severity.warn': 'Warning',
+  'html.none': 'None',
+  'html.findings': 'Problems',
+  'html.allRules': 'All rules',
+  'html.allSeverities': 'All severities',
+  'html.searchPlaceholder': 'Filter by file, rule or message',
+  'html.suggestion': 'Suggestion: {suggestion}',
+  'html.excerpt': 'Code excerpt',
+  'html.sourceUnavailable': 'Unable to read the file',
+  'html.noFindings': 'No problems found',
+  'markdown.passed': 'Check passed ({files} file(s) checked)',
+  'markdown.passedWithWarnings': 'Check passed with {warnings} warning(s) ({files} file(s) checked)',
+  'markdown.failed': 'Check failed with {errors} error(s) and {warnings} warning(s) ({files} file(s) checked)',
+  'markdown.column.severity': 'Severity',
+  'markdown.column.location': 'Location',
+  'markdown.column.problem': 'Problem',
+  'markdown.severity.error': 'Error',
+  'markdown.severity.warn': 'Warning',
+  'markdown.suggestions': 'Suggestions',
+
+  // install
+  'install.installingHusky': '📦 Installing husky...',
+  'install.huskyInPackageJson': '   husky is already in package.json',
+  'install.huskyInstalled': '✓ Husky installed',
+  'install.addHuskyHint': '💡 Consider adding husky to devDependencies: npm install husky --save-dev',
+  'install.huskyFailed': '⚠️  Failed to install Husky; run manually: npx husky install',
+  'install.huskyMissingHint': '   If husky is not installed, run first: npm install husky --save-dev',
+  'install.hookExists': '✓ Pre-commit hook already configured',
+  'install.hookCreated': '✓ Pre-commit hook configured',
+  'install.configCreated': '✓ Created the default config file {file}',
+  'install.configEditHint': '💡 Adjust the config file to your project',
+  'install.configExists': 'ℹ  Config file already exists, skipped',
+  'install.start': '\n🚀 Setting up pre-commit-check...\n',
+  'install.notGitRepo': '⚠️  The current directory is not a Git repository; skipping Git hook setup',
+  'install.gitInitHint': '💡 Run git init to initialize a repository first',
+  'install.done': '\n✅ Pre-commit-check setup complete!\n',
+  'install.nextSteps': '📝 Next steps:',
+  'install.nextStep1': '   1. Adjust commit-check.config.js as needed',
+  'install.nextStep2': '   2. The code check runs automatically on git commit\n',
+
+  // diagnose
+  'diagnose.start': '\n🔍 Diagnosing the pre-commit-check setup...\n',
+  'diagnose.git': '1. Checking the Git repository...',
+  'diagnose.git.ok': '   ✓ Git repository found',
+  'diagnose.git.missing': '   ✗ Not a Git repository',
+  'diagnose.git.hint': '   💡 Run first: git init',
+  'diagnose.husky': '\n2. Checking husky...',
+  'diagnose.husky.ok': '   ✓ .husky directory exists',
+  'diagnose.husky.missing': '   ✗ .husky directory does not exist',
+  'diagnose.husky.hint': '   💡 Run: npx husky install',
+  'diagnose.hook': '\n3. Checking the pre-commit hook...',
+  'diagnose.hook.ok': '   ✓ pre-commit hook file exists',
+  'diagnose.hook.command': '   ✓ The hook runs pre-commit-check',
+  'diagnose.hook.noCommand': '   ✗ The hook does not run pre-commit-check',
+  'diagnose.hook.missing': '   ✗ pre-commit hook file does not exist',
+  'diagnose.prepareHint': '   💡 Run: npm run prepare',
+  'diagnose.config': '\n4. Checking the config file...',
+  'diagnose.config.ok': '   ✓ Found config file {file}',
+  'diagnose.config.missing': '   ⚠  No config file found',
+  'diagnose.config.hint': '   💡 The default config will be used, or run: npm run prepare',
+  'diagnose.packages': '\n5. Checking installed packages...',
+  'diagnose.package.ok': '   ✓ {name} installed ({version})',
+  'diagnose.package.missing': '   ✗ {name} is not installed',
+  'diagnose.package.hint': '   💡 Run: npm install {name} --save-dev',
+  'diagnose.husky.global': '   ⚠  husky is not in package.json, but it may be installed globally',
+  'diagnose.packageJson.missing': '   ✗ package.json does not exist',
+  'diagnose.command': '\n6. Testing the command...',
+  'diagnose.command.ok': '   ✓ pre-commit-check command is available',
+  'diagnose.command.unknown': '   ⚠  Unable to test the command, but it may work',
+  'diagnose.failed': '\n❌ Problems found; fix them following the hints above',
+  'diagnose.quickFix': '\n💡 Quick fix:',
+  'diagnose.or': '   or',
+  'diagnose.ok': '\n✅ Setup looks good!',
+  'diagnose.troubleshoot': '\n💡 If the check still does not run on commit, try:',
+  'diagnose.troubleshoot1': '   1. Make sure the files are staged: git add .',
+  'diagnose.troubleshoot2': '   2. Inspect .husky/pre-commit',
+  'diagnose.troubleshoot3': '   3. Run manually: npx pre-commit-check'
+};
@@ -0,0 +1,237 @@
+/**
+ * 中文文案
+ */
+
+module.exports = {
+  // 规则1：防重复提交
+  'rule1.missingProtection.message': '新增按钮「{handler}」的点击事件中调用了接口，但未实现防重复提交逻辑',
+  'rule1.missingProtection.suggestion': '1. 增加按钮 loading 状态绑定，接口调用前设置 loading 为 true，调用后设置为 false；2. 增加按钮禁用状态绑定；3. 使用防抖函数包装接口调用（延迟≥500ms）；4. 增加布尔状态锁控制重复提交',
+  'rule1.loadingNotBound.message': '新增按钮「{handler}」的点击事件中定义了 loading 状态，但未在 JSX 中使用（如 Modal 的 confirmLoading 或 Button 的 loading 属性）',
+  'rule1.loadingNotBound.suggestion': '请在 Modal/Drawer/Button 等组件上绑定定义的 loading 状态，例如：<Modal confirmLoading={loading} onOk={{handler}}> 或 <Button loading={loading} onClick={{handler}}>',
+  'rule1.wrongLoading.message': '新增按钮「{handler}」的点击事件中使用了其他接口的 loading，应使用接口「{loadingName}」对应的 loading',
+  'rule1.wrongLoading.suggestion': '请使用正确的 loading 变量，该接口对应的 loading 名称应为「{loadingName}」。请检查 props 解构和组件上的 loading 绑定',
+  'rule1.debounceDelay.message': '新增按钮「{handler}」的点击事件使用了防抖/节流，但延迟时间 {delay}ms 小于 500ms，无法有效防止重复提交',
+  'rule1.debounceDelay.suggestion': '请将防抖/节流的延迟时间调整为不小于 500ms，或增加按钮 loading 状态绑定',
+
+  // 规则2：首次进入 loading
+  'rule2.page.list': '列表页',
+  'rule2.page.detail': '详情页',
+  'rule2.missingLoading.message': '新增{page}首次进入时调用了数据查询接口，但未实现有效的 loading 展示与隐藏逻辑',
+  'rule2.missingLoading.suggestion': '1. 使用全局 loading 方法包裹接口调用；2. 增加页面级 Spin 组件，绑定 isLoading 状态',
+
+  // 规则3：成功轻提示
+  'rule3.operation.business': '业务操作',
+  'rule3.operation.data': '数据操作',
+  'rule3.missingSuccessTip.message': '{method} 类型接口（{operation}）操作成功后，未触发有效的成功轻提示',
+  'rule3.missingSuccessTip.suggestion': '1. 调用 message.success(\'操作成功\')；2. 集成项目通用成功提示方法；3. 若有页面跳转，确保目标页面包含成功提示',
+
+  // 规则4：空状态
+  'rule4.missingEmptyState.message': '该列表未使用 Table 组件，且未实现列表数据为空时的自定义空状态展示',
+  'rule4.missingEmptyState.suggestion': '1. 条件渲染「暂无数据」文案；2. 引入项目通用 Empty 组件；3. 配置空状态占位图与引导文案',
+
+  // 规则5：placeholder
+  'rule5.missingPlaceholder.message': '新增的表单输入组件「{component}」缺少 placeholder 提示属性',
+  'rule5.missingPlaceholder.suggestion': '为 {component} 组件添加 placeholder 属性，提升用户体验。例如：<{component} placeholder="请输入..." />',
+
+  // 行内禁用注释
+  'suppression.allRules': '所有规则',
+  'suppression.reason': '原因',
+  'suppression.missingReason.message': '禁用注释 {directive}（{target}）未填写原因，该注释不会生效',
+  'suppression.missingReason.suggestion': '在注释末尾用 -- 补充原因，例如：{example}',
+  'suppression.unused.message': '禁用注释 {directive}（{target}）没有匹配到任何问题',
+  'suppression.unused.suggestion': '问题已修复或代码已移动，请删除或调整该禁用注释',
+
+  // 检查流程
+  'core.configNotFound': '无法加载配置文件 {file}',
+  'core.target.all': '仓库',
+  'core.target.staged': '暂存区',
+  'core.rangeFilesFailed': '无法获取 {target} 的变更文件，请确认提交范围是否正确',
+  'core.filesFailed': '无法获取 Git {target}文件',
+  'core.ruleError': '规则 {rule} 检查文件 {file} 时出错: {error}',
+  'core.fileError': '检查文件 {file} 时出错: {error}',
+  'core.workerExited': '检查线程异常退出（退出码 {code}）',
+
+  // 配置校验
+  'config.fileNotFound': '配置文件 {file} 不存在',
+  'config.loadFailed': '无法加载配置文件 {file}: {error}',
+  'config.notObject': '配置文件 {file} 应导出一个对象',
+  'config.unknownPreset': '未知的预设 {preset}，可选：{presets}',
+  'config.extendsNotFound': '无法找到 extends 中的配置 {specifier}，请确认已安装该 npm 包',
+  'config.invalidExtends': 'extends 应为字符串或字符串数组',
+  'config.circularExtends': 'extends 存在循环引用：{chain}',
+  'config.invalid': '配置文件 {file} 有误：',
+  'config.invalidOptions': '配置有误：',
+  'config.unknownKey': '{path}：未知的配置项',
+  'config.unknownKeySuggestion': '{path}：未知的配置项，是否应为 {suggestion}？',
+  'config.missingKey': '{path}：缺少配置项 {key}',
+  'config.invalidType': '{path}：应为{expected}，实际为{actual}',
+  'config.invalidValue': '{path}：应为 {values} 之一，实际为 {actual}',
+  'config.minimum': '{path}：不能小于 {minimum}，实际为 {actual}',
+  'config.or': '或',
+  'config.type.string': '字符串',
+  'config.type.boolean': '布尔值',
+  'config.type.integer': '整数',
+  'config.type.number': '数字',
+  'config.type.array': '数组',
+  'config.type.object': '对象',
+  'config.type.null': ' null',
+  'config.type.undefined': ' undefined',
+  'config.type.function': '函数',
+
+  // 规则注册
+  'registry.invalidRule': '规则模块 {source} 格式不正确：需导出 meta.id 和 check(context)',
+  'registry.duplicateRule': '规则 {id} 重复注册（来源：{source}）',
+  'registry.loadFailed': '无法加载自定义规则 {specifier}: {error}',
+
+  // 控制台输出
+  'check.unsupportedFormat': '不支持的输出格式 {format}，可选：{formats}',
+  'check.outputFileWithoutFormat': '--output-file 需要与 --format 一起使用，例如：--format junit --output-file report.xml',
+  'check.configHint': '请确保项目中存在配置文件（{files}，或 package.json 中的 commitCheck 字段），或通过 --config 指定配置文件',
+  'check.configFileSeparator': '、',
+  'check.configCopyHint': '或在项目根目录执行: cp node_modules/pre-commit-check/{file} .',
+  'check.outputWritten': '检查了 {files} 个文件，发现 {errors} 个问题、{warnings} 个警告，结果已写入 {outputFile}',
+  'check.noStagedFiles': '暂存区没有需要检查的文件',
+  'check.noFiles': '没有需要检查的文件',
+  'check.start': '开始检查 {count} 个文件...',
+  'check.cacheHits': '{count} 个文件未变化，使用缓存的检查结果',
+  'check.internalError': '以上文件因检查工具内部错误未完成检查，不阻止提交；可使用 --fail-on-internal-error 在出错时阻止提交',
+  'check.internalErrorFailed': '检查工具内部错误，{count} 个文件未完成检查，已阻止提交。请检查代码或联系维护人员',
+  'check.suppressed': '已通过行内禁用注释忽略 {count} 个问题',
+  'check.baselined': '已忽略基线中记录的 {count} 个历史问题',
+  'check.baselineFixed': '基线中有 {count} 个问题在本次检查中未再出现，如已修复可执行 pre-commit-check baseline 更新基线文件',
+  'check.status.error': '不通过',
+  'check.status.warn': '警告',
+  'check.findingTitle': '【规则 {rule} {status}】- {name}',
+  'check.location': '位置：{location}',
+  'check.problem': '问题：{message}',
+  'check.suggestion': '修复建议：{suggestion}',
+  'check.warningsHeader': '发现以下警告（不阻止提交）：',
+  'check.failedHeader': '代码检查未通过，发现以下问题：',
+  'check.fixAndRetry': '请修复上述问题后重新提交。',
+  'check.skipHint': '提示：如需跳过检查（紧急情况），可使用 git commit --no-verify',
+  'check.passedWithWarnings': '检查通过（{count} 个警告）',
+  'check.passed': '所有检查通过！',
+  'check.unsupportedGroupBy': '不支持的分组方式 {groupBy}，可选：{values}',
+  'check.groupCount': '（{errors} 个问题，{warnings} 个警告）',
+  'check.summary.title': '检查汇总',
+  'check.summary.rule': '规则',
+  'check.summary.errors': '问题',
+  'check.summary.warnings': '警告',
+  'check.summary.total': '合计',
+  'check.summary.files': '文件：检查 {checked} 个，跳过 {skipped} 个，解析失败 {parseErrors} 个',
+  'check.summary.duration': '耗时：{duration}ms',
+
+  // 基线
+  'baseline.written': '已检查 {files} 个文件，将 {findings} 个问题（{entries} 条记录）写入基线文件 {path}',
+  'baseline.commitHint': '提示：请将基线文件提交到仓库，之后的检查只会报告基线之外的新问题',
+  'baseline.invalidJson': '基线文件 {file} 不是有效的 JSON: {error}',
+  'baseline.invalidFormat': '基线文件 {file} 格式不正确，请执行 pre-commit-check baseline 重新生成',
+
+  // 命令行
+  'cli.installScriptNotFound': '无法找到安装脚本',
+  'cli.toWithoutFrom': '使用 --to 时需要同时指定 --from',
+  'cli.unsupportedLocale': '不支持的语言 {locale}，可选：{locales}',
+  'cli.crashed': '检查工具运行出错: {error}',
+  'cli.missingValue': '参数 {option} 缺少取值',
+  'cli.unknownOption': '未知的参数 {option}',
+  'cli.unknownOptionSuggestion': '未知的参数 {option}，是否应为 {suggestion}？',
+  'cli.invalidPositiveInteger': '参数 {option} 应为正整数，实际为 {value}',
+
+  // 输出格式
+  'report.unknownRule': '未知规则',
+  'report.warning': '[警告] {text}',
+  'report.withSuggestion': '{message}（修复建议：{suggestion}）',
+  'html.title': '代码检查报告',
+  'html.meta': '检查范围：{target} · 生成时间：{time} · 耗时 {duration}ms',
+  'html.stat.files': '检查文件',
+  'html.stat.errors': '问题',
+  'html.stat.warnings': '警告',
+  'html.stat.suppressed': '禁用注释忽略',
+  'html.stat.baselined': '基线忽略',
+  'html.stat.skipped': '跳过文件',
+  'html.byRule': '按规则汇总',
+  'html.byDirectory': '按目录汇总',
+  'html.column.rule': '规则',
+  'html.column.directory': '目录',
+  'html.column.severity': '级别',
+  'html.column.location': '位置',
+  'html.column.problem': '问题',
+  'html.severity.error': '问题',
+  'html.severity.warn': '警告',
+  'html.none': '无',
+  'html.findings': '问题列表',
+  'html.allRules': '全部规则',
+  'html.allSeverities': '全部级别',
+  'html.searchPlaceholder': '按文件、规则或问题描述筛选',
+  'html.suggestion': '修复建议：{suggestion}',
+  'html.excerpt': '代码片段',
+  'html.sourceUnavailable': '无法读取文件内容',
+  'html.noFindings': '未发现问题',
+  'markdown.passed': '检查通过（检查了 {files} 个文件）',
+  'markdown.passedWithWarnings': '检查通过，{warnings} 个警告（检查了 {files} 个文件）',
+  'markdown.failed': '检查未通过，{errors} 个问题、{warnings} 个警告（检查了 {files} 个文件）',
+  'markdown.column.severity': '级别',
+  'markdown.column.location': '位置',
+  'markdown.column.problem': '问题',
+  'markdown.severity.error': '问题',
+  'markdown.severity.warn': '警告',
+  'markdown.suggestions': '修复建议',
+
+  // 安装
+  'install.installingHusky': '📦 正在安装 husky...',
+  'install.huskyInPackageJson': '   husky 已在 package.json 中',
+  'install.huskyInstalled': '✓ Husky 安装成功',
+  'install.addHuskyHint': '💡 建议将 husky 添加到 devDependencies: npm install husky --save-dev',
+  'install.huskyFailed': '⚠️  Husky 安装失败，请手动执行: npx husky install',
+  'install.huskyMissingHint': '   如果 husky 未安装，请先执行: npm install husky --save-dev',
+  'install.hookExists': '✓ Pre-commit hook 已配置',
+  'install.hookCreated': '✓ Pre-commit hook 配置成功',
+  'install.configCreated': '✓ 已创建默认配置文件 {file}',
+  'install.configEditHint': '💡 请根据项目需求修改配置文件',
+  'install.configExists': 'ℹ  配置文件已存在，跳过复制',
+  'install.start': '\n🚀 正在配置 pre-commit-check...\n',
+  'install.notGitRepo': '⚠️  当前目录不是 Git 仓库，跳过 Git hook 配置',
+  'install.gitInitHint': '💡 请先执行 git init 初始化仓库',
+  'install.done': '\n✅ Pre-commit-check 配置完成！\n',
+  'install.nextSteps': '📝 下一步：',
+  'install.nextStep1': '   1. 根据需要修改 commit-check.config.js 配置文件',
+  'install.nextStep2': '   2. 执行 git commit 时会自动触发代码检查\n',
+
+  // 诊断
+  'diagnose.start': '\n🔍 正在诊断 pre-commit-check 配置...\n',
+  'diagnose.git': '1. 检查 Git 仓库...',
+  'diagnose.git.ok': '   ✓ 是 Git 仓库',
+  'diagnose.git.missing': '   ✗ 不是 Git 仓库',
+  'diagnose.git.hint': '   💡 请先执行: git init',
+  'diagnose.husky': '\n2. 检查 husky...',
+  'diagnose.husky.ok': '   ✓ .husky 目录存在',
+  'diagnose.husky.missing': '   ✗ .husky 目录不存在',
+  'diagnose.husky.hint': '   💡 请执行: npx husky install',
+  'diagnose.hook': '\n3. 检查 pre-commit hook...',
+  'diagnose.hook.ok': '   ✓ pre-commit hook 文件存在',
+  'diagnose.hook.command': '   ✓ hook 中包含 pre-commit-check 命令',
+  'diagnose.hook.noCommand': '   ✗ hook 中不包含 pre-commit-check 命令',
+  'diagnose.hook.missing': '   ✗ pre-commit hook 文件不存在',
+  'diagnose.prepareHint': '   💡 请执行: npm run prepare',
+  'diagnose.config': '\n4. 检查配置文件...',
+  'diagnose.config.ok': '   ✓ 找到配置文件 {file}',
+  'diagnose.config.missing': '   ⚠  未找到配置文件',
+  'diagnose.config.hint': '   💡 将使用默认配置，或执行: npm run prepare',
+  'diagnose.packages': '\n5. 检查包安装...',
+  'diagnose.package.ok': '   ✓ {name} 已安装 ({version})',
+  'diagnose.package.missing': '   ✗ {name} 未安装',
+  'diagnose.package.hint': '   💡 请执行: npm install {name} --save-dev',
+  'diagnose.husky.global': '   ⚠  husky 未在 package.json 中，但可能已全局安装',
+  'diagnose.packageJson.missing': '   ✗ package.json 不存在',
+  'diagnose.command': '\n6. 测试命令可用性...',
+  'diagnose.command.ok': '   ✓ pre-commit-check 命令可用',
+  'diagnose.command.unknown': '   ⚠  无法测试命令，但可能正常',
+  'diagnose.failed': '\n❌ 发现问题，请根据上述提示修复',
+  'diagnose.quickFix': '\n💡 快速修复命令：',
+  'diagnose.or': '   或',
+  'diagnose.ok': '\n✅ 配置正常！',
+  'diagnose.troubleshoot': '\n💡 如果 commit 时仍未触发检查，请尝试：',
+  'diagnose.troubleshoot1': '   1. 确保文件已添加到暂存区: git add .',
+  'diagnose.troubleshoot2': '   2. 查看 .husky/pre-commit 文件内容',
+  'diagnose.troubleshoot3': '   3. 手动执行: npx pre-commit-check'
+};
@@ -0,0 +1,75 @@
+/**
+ * 问题位置
+ *
+ * 检查结果的位置统一使用 { line, column, endLine, endColumn }：行号、列号均从 1 开始，
+ * endColumn 指向问题结束位置的下一列（与 SARIF 的 region 约定一致）
+ */
+
+/**
+ * 获取 AST 节点的位置
+ */
+function getNodeLocation(node) {
+  const loc = node && node.loc;
+  if (!loc) return {};
+
+  return {
+    line: loc.start.line,
+    column: loc.start.column + 1,
+    endLine: loc.end.line,
+    endColumn: loc.end.column + 1
+  };
+}
+
+/**
+ * 计算字符位置所在的行号和列号
+ */
+function getPosition(content, index) {
+  const before = content.slice(0, index);
+  return {
+    line: before.split('\n').length,
+    column: index - (before.lastIndexOf('\n') + 1) + 1
+  };
+}
+
+/**
+ * 获取文件内容中 [start, end) 字符区间的位置，用于正则匹配到的问题
+ */
+function getOffsetLocation(content, start, end) {
+  const startPosition = getPosition(content, start);
+  const endPosition = getPosition(content, Math.max(end, start));
+
+  return {
+    line: startPosition.line,
+    column: startPosition.column,
+    endLine: endPosition.line,
+    endColumn: endPosition.column
+  };
+}
+
+/**
+ * 补全检查结果中缺失的位置信息
+ *
+ * 规则只提供了行号时，将问题范围设为该行的代码部分（跳过行首缩进）
+ *
+ * @param {object} finding - 检查结果，会被直接修改
+ * @param {string[]} lines - 文件内容按行拆分后的数组
+ */
+function completeLocation(finding, lines) {
+  if (!finding.line) return finding;
+
+  const text = lines[finding.line - 1] || '';
+  if (!finding.column) {
+    finding.column = text.length - text.trimStart().length + 1;
+  }
+  if (!finding.endLine) {
+    finding.endLine = finding.line;
+    finding.endColumn = null;
+  }
+  if (!finding.endColumn) {
+    const endText = lines[finding.endLine - 1] || '';
+    finding.endColumn = Math.max(endText.trimEnd().length + 1, finding.endLine === finding.line ? finding.column : 1);
+  }
+  return finding;
+}
+
+module.exports = { getNodeLocation, getOffsetLocation, completeLocation };
@@ -0,0 +1,105 @@
+/**
+ * 文件解析
+ *
+ * 将 Vue / JS / TS / JSX / TSX / HTML 文件内容解析为规则检查使用的结构：
+ * { type, ast, content, template?, scriptContent? }
+ */
+
+const path = require('path');
+const parser = require('@babel/parser');
+
+/**
+ * 解析文件内容
+ *
+ * @param {string} filePath - 文件路径（用于判断文件类型）
+ * @param {string} content - 文件内容
+ */
+function parseFile(filePath, content) {
+  const ext = path.extname(filePath);
+
+  if (ext === '.vue') {
+    return parseVueFile(content);
+  } else if (['.js', '.ts', '.jsx', '.tsx'].includes(ext)) {
+    return parseJSFile(content, ext);
+  } else if (ext === '.html') {
+    return parseHTMLFile(content);
+  }
+
+  return null;
+}
+
+/**
+ * 解析 Vue 文件
+ */
+function parseVueFile(content) {
+  // 提取 <script> 部分
+  const scriptMatch = content.match(/<script[^>]*>([\s\S]*?)<\/script>/);
+  const templateMatch = content.match(/<template[^>]*>([\s\S]*?)<\/template>/);
+
+  let ast = null;
+  let scriptContent = '';
+
+  if (scriptMatch) {
+    scriptContent = scriptMatch[1];
+    // 使 AST 中的行号、列号与整个 .vue 文件一致
+    const scriptOffset = scriptMatch.index + scriptMatch[0].indexOf('>') + 1;
+    const beforeScript = content.slice(0, scriptOffset);
+    const startLine = beforeScript.split('\n').length;
+    const startColumn = scriptOffset - (beforeScript.lastIndexOf('\n') + 1);
+    try {
+      ast = parser.parse(scriptContent, {
+        sourceType: 'module',
+        startLine,
+        startColumn,
+        plugins: ['typescript', 'jsx', 'decorators-legacy', 'classProperties']
+      });
+    } catch (e) {
+      // 解析失败时返回 null
+    }
+  }
+
+  return {
+    type: 'vue',
+    ast,
+    scriptContent,
+    template: templateMatch ? templateMatch[1] : '',
+    content
+  };
+}
+
+/**
+ * 解析 JS/TS/JSX/TSX 文件
+ */
+function parseJSFile(content, ext) {
+  try {
+    const plugins = ['jsx', 'typescript', 'decorators-legacy', 'classProperties'];
+    if (ext === '.tsx' || ext === '.jsx') {
+      plugins.push('jsx');
+    }
+
+    const ast = parser.parse(content, {
+      sourceType: 'module',
+      plugins
+    });
+
+    return {
+      type: ext.replace('.', ''),
+      ast,
+      content
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 解析 HTML 文件
+ */
+function parseHTMLFile(content) {
+  return {
+    type: 'html',
+    content
+  };
+}
+
+module.exports = { parseFile };
@@ -0,0 +1,31 @@
+/**
+ * 预设：Ant Design + React
+ *
+ * 使用方式：extends: ['preset:antd-react']
+ */
+
+module.exports = {
+  // 轻提示：message、notification 以及 Modal.success 结果弹窗
+  rule3: {
+    customKeywords: {
+      successMethods: ['message.success', 'notification.success', 'Modal.success']
+    }
+  },
+
+  // 需要 placeholder 的 Ant Design 输入组件
+  rule5: {
+    customKeywords: {
+      inputComponents: [
+        'Input', 'Input.TextArea', 'Input.Password', 'Input.Search',
+        'Select', 'DatePicker', 'RangePicker', 'DatePicker.RangePicker', 'TimePicker',
+        'InputNumber', 'AutoComplete', 'Cascader', 'TreeSelect', 'Mentions',
+        'input', 'select', 'textarea'
+      ],
+      placeholderAttributes: ['placeholder']
+    }
+  },
+
+  global: {
+    fileExtensions: ['.js', '.jsx', '.ts', '.tsx']
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * 预设：dva / declareRequest
+ *
+ * props.xxxAction()、props.dispatch({ type }) 形式的接口调用以及 declareRequest 的 loading
+ * 由规则内置识别，这里只调整检查范围，可与 UI 库预设组合使用：
+ * extends: ['preset:antd-react', 'preset:dva']
+ */
+
+module.exports = {
+  global: {
+    // models、services 中只有 effects 与接口定义，没有页面交互，由调用它们的页面组件检查
+    ignore: { $append: ['src/models/**', 'src/services/**'] }
+  }
+};
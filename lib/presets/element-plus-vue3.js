@@ -0,0 +1,38 @@
+/**
+ * 预设：Element Plus + Vue 3
+ *
+ * 使用方式：extends: ['preset:element-plus-vue3']
+ */
+
+module.exports = {
+  // 轻提示：ElMessage、ElNotification 以及全局注册的 $message、$notify
+  rule3: {
+    customKeywords: {
+      successMethods: ['ElMessage.success', 'ElNotification.success', '$message.success', '$notify.success']
+    }
+  },
+
+  rule4: {
+    customKeywords: {
+      emptyComponents: { $append: ['el-empty', 'ElEmpty'] }
+    }
+  },
+
+  // 需要 placeholder 的 Element Plus 输入组件，TSX 中使用 PascalCase 写法
+  rule5: {
+    customKeywords: {
+      inputComponents: [
+        'el-input', 'el-input-number', 'el-select', 'el-select-v2', 'el-cascader', 'el-autocomplete',
+        'el-date-picker', 'el-time-picker', 'el-time-select', 'el-tree-select', 'el-mention',
+        'ElInput', 'ElInputNumber', 'ElSelect', 'ElSelectV2', 'ElCascader', 'ElAutocomplete',
+        'ElDatePicker', 'ElTimePicker', 'ElTimeSelect', 'ElTreeSelect',
+        'input', 'select', 'textarea'
+      ],
+      placeholderAttributes: ['placeholder']
+    }
+  },
+
+  global: {
+    fileExtensions: ['.vue', '.js', '.ts', '.jsx', '.tsx']
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * 预设：Element UI + Vue 2
+ *
+ * 使用方式：extends: ['preset:element-ui-vue2']
+ */
+
+module.exports = {
+  // 轻提示：this.$message、this.$notify 以及按需引入的 Message、Notification
+  rule3: {
+    customKeywords: {
+      successMethods: ['$message.success', 'Message.success', '$notify.success', 'Notification.success']
+    }
+  },
+
+  rule4: {
+    customKeywords: {
+      emptyComponents: { $append: ['el-empty'] }
+    }
+  },
+
+  // 需要 placeholder 的 Element UI 输入组件
+  rule5: {
+    customKeywords: {
+      inputComponents: [
+        'el-input', 'el-input-number', 'el-select', 'el-cascader', 'el-autocomplete',
+        'el-date-picker', 'el-time-picker', 'el-time-select',
+        'input', 'select', 'textarea'
+      ],
+      placeholderAttributes: ['placeholder']
+    }
+  },
+
+  global: {
+    fileExtensions: ['.vue', '.js', '.ts']
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * 检查结果汇总
+ *
+ * 命令行输出与各输出格式（lib/formatters）共用的统计与规则信息
+ */
+
+const { SUPPRESSION_RULE_ID, suppressionMeta } = require('./suppressions');
+const { createTranslator } = require('./i18n');
+
+/**
+ * 获取规则的元信息，行内禁用注释的问题使用 suppressionMeta
+ */
+function getRuleMeta(registry, ruleId) {
+  if (ruleId === SUPPRESSION_RULE_ID) return { id: SUPPRESSION_RULE_ID, ...suppressionMeta };
+  const rule = registry.get(ruleId);
+  return rule ? rule.meta : null;
+}
+
+/**
+ * 获取规则名称，英文环境下优先使用 meta.englishName
+ */
+function getRuleName(registry, ruleId, locale) {
+  const meta = getRuleMeta(registry, ruleId);
+  if (!meta) return createTranslator(locale)('report.unknownRule');
+  return locale === 'en-US' && meta.englishName ? meta.englishName : meta.name;
+}
+
+/**
+ * 统计检查结果，passed 表示是否允许提交：没有 error 级别的问题，也没有导致检查无法进行的错误
+ *
+ * 每个文件只计入 files（实际检查）、skipped（跳过）、parseErrors（解析失败）之一
+ */
+function getSummary(result) {
+  const errorCount = result.findings.filter(finding => finding.severity === 'error').length;
+  return {
+    files: result.files.length,
+    skipped: result.skipped.filter(entry => entry.reason !== 'parse-error').length,
+    parseErrors: result.skipped.filter(entry => entry.reason === 'parse-error').length,
+    errors: errorCount,
+    warnings: result.findings.length - errorCount,
+    suppressed: result.suppressed.length,
+    baselined: result.baselined.length,
+    cacheHits: result.cacheHits,
+    passed: errorCount === 0 && !result.errors.some(error => error.fatal)
+  };
+}
+
+module.exports = { getRuleMeta, getRuleName, getSummary };
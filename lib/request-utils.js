@@ -0,0 +1,616 @@
+/**
+ * 接口调用识别工具
+ *
+ * 供各检查规则共享：识别接口调用、查找 declareRequest 定义及其 loading 使用情况
+ */
+
+const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { getMethodName } = require('./ast-utils');
+const { createFileReader } = require('./dependencies');
+
+/**
+ * 获取配置的请求方法关键词
+ */
+function getRequestMethods(config) {
+  return config.rule1?.customKeywords?.requestMethods ||
+    config.rule2?.customKeywords?.requestMethods ||
+    ['fetch', 'axios', 'request', 'http', 'api'];
+}
+
+/**
+ * 从接口调用中提取 Action 名称
+ * 例如：props.GetLabelTypePullDownAction() -> GetLabelTypePullDownAction
+ */
+function getActionNameFromCall(callPath) {
+  if (t.isMemberExpression(callPath.node.callee)) {
+    const property = callPath.node.callee.property;
+    if (t.isIdentifier(property) && property.name.endsWith('Action')) {
+      return property.name;
+    }
+  }
+  return null;
+}
+
+/**
+ * 从文件中解析 namespace 导入，找到对应的接口文件路径
+ * 例如：import { NS_COURSELIBRARY, NS_GLOBAL } from '~/enumerate/namespace';
+ * 返回：namespace 到文件路径的映射
+ */
+function parseNamespaceImports(ast, filePath, projectRoot, files) {
+  const namespaceMap = {};
+  
+  if (!ast) return namespaceMap;
+  
+  try {
+    traverse(ast, {
+      ImportDeclaration(path) {
+        const source = path.node.source.value;
+        // 检查是否是 namespace 导入
+        if (source.includes('namespace') || source.includes('enumerate')) {
+          const specifiers = path.node.specifiers;
+          for (const specifier of specifiers) {
+            if (t.isImportSpecifier(specifier) && t.isIdentifier(specifier.imported)) {
+              const namespaceName = specifier.imported.name;
+              // 解析导入路径，找到对应的接口文件
+              const namespaceFile = resolveNamespaceFile(source, filePath, projectRoot, files);
+              if (namespaceFile) {
+                namespaceMap[namespaceName] = namespaceFile;
+              }
+            }
+          }
+        }
+      }
+    });
+  } catch (e) {
+    // 解析失败，返回空映射
+  }
+  
+  return namespaceMap;
+}
+
+/**
+ * 解析 namespace 文件路径
+ * 例如：'~/enumerate/namespace' -> 实际文件路径
+ */
+function resolveNamespaceFile(importPath, currentFilePath, projectRoot, files) {
+  try {
+    const currentDir = path.dirname(path.resolve(projectRoot, currentFilePath));
+    
+    // 处理 ~ 别名
+    if (importPath.startsWith('~/')) {
+      importPath = importPath.replace('~/', 'src/');
+    }
+    
+    // 尝试多个可能的路径（包括 index.js）
+    const possiblePaths = [
+      // 直接文件路径：src/enumerate/namespace.js
+      path.join(projectRoot, importPath + '.js'),
+      path.join(projectRoot, importPath + '.ts'),
+      path.join(projectRoot, importPath + '.jsx'),
+      path.join(projectRoot, importPath + '.tsx'),
+      // 目录下的 index 文件：src/enumerate/namespace/index.js
+      path.join(projectRoot, importPath, 'index.js'),
+      path.join(projectRoot, importPath, 'index.ts'),
+      path.join(projectRoot, importPath, 'index.jsx'),
+      path.join(projectRoot, importPath, 'index.tsx'),
+      // 相对路径
+      path.join(currentDir, importPath + '.js'),
+      path.join(currentDir, importPath + '.ts'),
+      path.join(currentDir, importPath, 'index.js'),
+      path.join(currentDir, importPath, 'index.ts'),
+    ];
+    
+    for (const possiblePath of possiblePaths) {
+      if (files.read(possiblePath) !== null) {
+        return possiblePath;
+      }
+    }
+  } catch (e) {
+    // 解析失败
+  }
+  
+  return null;
+}
+
+/**
+ * 从 namespace 文件中查找所有 namespace 的值
+ * namespace 文件通常包含类似：export const NS_COURSELIBRARY = defineNamespace('courseLibrary');
+ * 返回：{ NS_COURSELIBRARY: 'courseLibrary', NS_GLOBAL: 'global' }
+ */
+function parseNamespaceValues(namespaceFile, files) {
+  const namespaceValues = {};
+  
+  const content = namespaceFile ? files.read(namespaceFile) : null;
+  if (content === null) return namespaceValues;
+  
+  try {
+    const ast = parser.parse(content, {
+      sourceType: 'module',
+      plugins: ['typescript', 'jsx', 'decorators-legacy', 'classProperties']
+    });
+    
+    traverse(ast, {
+      VariableDeclarator(path) {
+        if (t.isIdentifier(path.node.id) && path.node.id.name.startsWith('NS_')) {
+          // 处理字符串字面量：export const NS_COURSELIBRARY = 'courseLibrary';
+          if (t.isStringLiteral(path.node.init)) {
+            namespaceValues[path.node.id.name] = path.node.init.value;
+          }
+          // 处理 defineNamespace 调用：export const NS_COURSELIBRARY = defineNamespace('courseLibrary');
+          else if (t.isCallExpression(path.node.init)) {
+            const callee = path.node.init.callee;
+            if (t.isIdentifier(callee) && callee.name === 'defineNamespace') {
+              const args = path.node.init.arguments;
+              if (args.length > 0 && t.isStringLiteral(args[0])) {
+                namespaceValues[path.node.id.name] = args[0].value;
+              }
+            }
+          }
+        }
+      }
+    });
+  } catch (e) {
+    // 解析失败
+  }
+  
+  return namespaceValues;
+}
+
+/**
+ * 根据 namespace 值找到对应的接口文件路径
+ * 例如：'global' -> 'src/api/global/index.js'
+ *      'courseLibrary' -> 'src/api/courseLibrary/index.js'
+ */
+function getActionFilesFromNamespaceValues(namespaceValues, projectRoot, files) {
+  const actionFiles = [];
+  
+  for (const namespaceValue of Object.values(namespaceValues)) {
+    // 根据示例，接口文件在 src/api/{namespaceValue}/index.js
+    const possiblePaths = [
+      path.join(projectRoot, 'src', 'api', namespaceValue, 'index.js'),
+      path.join(projectRoot, 'src', 'api', namespaceValue, 'index.ts'),
+      path.join(projectRoot, 'src', 'api', namespaceValue, 'index.jsx'),
+      path.join(projectRoot, 'src', 'api', namespaceValue, 'index.tsx'),
+      // 兼容其他可能的路径
+      path.join(projectRoot, 'src', 'models', namespaceValue, 'index.js'),
+      path.join(projectRoot, 'src', 'models', namespaceValue, 'index.ts'),
+      path.join(projectRoot, 'src', 'services', namespaceValue, 'index.js'),
+      path.join(projectRoot, 'src', 'services', namespaceValue, 'index.ts'),
+    ];
+    
+    for (const possiblePath of possiblePaths) {
+      if (files.read(possiblePath) !== null) {
+        actionFiles.push(possiblePath);
+        break; // 找到一个就停止
+      }
+    }
+  }
+  
+  return actionFiles;
+}
+
+/**
+ * 从文件中查找 declareRequest 定义并提取 loading 名称（无论第一个参数是什么）
+ * 例如：export const GetLabelTypePullDownAction = declareRequest('pageLoading', ...)
+ * 返回：{ actionName: 'GetLabelTypePullDownAction', loadingName: 'pageLoading' }
+ *
+ * 其他文件通过 files（规则的 context.files）读取，结果缓存时这些文件作为依赖记录（见 lib/dependencies.js）
+ */
+function findDeclareRequestInfo(actionName, filePath, ast, projectRoot = process.cwd(), files = createFileReader()) {
+  if (!actionName) return null;
+  
+  try {
+    // 首先尝试从当前文件的 namespace 导入中找到接口文件
+    const namespaceMap = parseNamespaceImports(ast, filePath, projectRoot, files);
+    const actionFiles = [];
+    
+    // 根据 namespace 找到接口文件
+    // 1. 找到 namespace 文件（如 ~/enumerate/namespace）
+    for (const [namespaceName, namespaceFile] of Object.entries(namespaceMap)) {
+      if (namespaceFile) {
+        // 2. 解析 namespace 文件，获取所有 namespace 的值
+        const namespaceValues = parseNamespaceValues(namespaceFile, files);
+        
+        // 3. 根据 namespace 值找到对应的接口文件（如 src/api/global/index.js）
+        actionFiles.push(...getActionFilesFromNamespaceValues(namespaceValues, projectRoot, files));
+      }
+    }
+    
+    // 如果没找到，使用通用搜索
+    if (actionFiles.length === 0) {
+      const searchPaths = [
+        path.join(projectRoot, 'src/**/*.{js,jsx,ts,tsx}'),
+        path.join(projectRoot, '**/action*.{js,jsx,ts,tsx}'),
+        path.join(projectRoot, '**/api*.{js,jsx,ts,tsx}'),
+        path.join(projectRoot, '**/service*.{js,jsx,ts,tsx}'),
+      ];
+      
+      const currentDir = path.dirname(path.resolve(projectRoot, filePath));
+      searchPaths.unshift(path.join(currentDir, '**/*.{js,jsx,ts,tsx}'));
+      
+      for (const pattern of searchPaths) {
+        try {
+          actionFiles.push(...files.glob(pattern));
+        } catch (e) {
+          // 忽略错误
+        }
+      }
+    }
+    
+    // 去重
+    const uniqueFiles = [...new Set(actionFiles)];
+    
+    // 遍历文件查找 declareRequest 定义
+    for (const file of uniqueFiles) {
+      const content = files.read(file);
+      if (content === null) continue;
+      
+      try {
+        // 检查是否包含目标 Action 名称
+        if (!content.includes(actionName) || !content.includes('declareRequest')) {
+          continue;
+        }
+        
+        // 解析文件
+        const fileAst = parser.parse(content, {
+          sourceType: 'module',
+          plugins: ['typescript', 'jsx', 'decorators-legacy', 'classProperties']
+        });
+        
+        // 查找 declareRequest 调用
+        let found = null;
+        traverse(fileAst, {
+          VariableDeclarator(path) {
+            if (t.isIdentifier(path.node.id) && path.node.id.name === actionName) {
+              if (t.isCallExpression(path.node.init)) {
+                const callee = path.node.init.callee;
+                if (t.isIdentifier(callee) && callee.name === 'declareRequest') {
+                  // 提取第一个参数（loading 名称）
+                  const args = path.node.init.arguments;
+                  if (args.length > 0 && t.isStringLiteral(args[0])) {
+                    const loadingName = args[0].value;
+                    // 返回所有找到的接口定义（无论第一个参数是什么）
+                    found = {
+                      actionName: actionName,
+                      loadingName: loadingName
+                    };
+                    path.stop();
+                  }
+                }
+              }
+            }
+          },
+          AssignmentExpression(path) {
+            if (t.isMemberExpression(path.node.left)) {
+              const property = path.node.left.property;
+              if (t.isIdentifier(property) && property.name === actionName) {
+                if (t.isCallExpression(path.node.right)) {
+                  const callee = path.node.right.callee;
+                  if (t.isIdentifier(callee) && callee.name === 'declareRequest') {
+                    const args = path.node.right.arguments;
+                    if (args.length > 0 && t.isStringLiteral(args[0])) {
+                      const loadingName = args[0].value;
+                      // 返回所有找到的接口定义（无论第一个参数是什么）
+                      found = {
+                        actionName: actionName,
+                        loadingName: loadingName
+                      };
+                      path.stop();
+                    }
+                  }
+                }
+              }
+            }
+          }
+        });
+        
+        if (found) {
+          return found;
+        }
+      } catch (e) {
+        // 解析失败，跳过该文件
+        continue;
+      }
+    }
+  } catch (e) {
+    // 查找失败，返回 null
+  }
+  
+  return null;
+}
+
+/**
+ * 从文件中查找 declareRequest 定义并提取 loading 名称
+ * 例如：export const GetLabelTypePullDownAction = declareRequest('loading', ...)
+ * 返回：{ actionName: 'GetLabelTypePullDownAction', loadingName: 'loading' }
+ * 
+ * 注意：只有当第一个参数严格等于 'loading' 时，才返回 loading 信息
+ * 如果第一个参数是其他值（如 'pageLoading'），则返回 null
+ */
+function findDeclareRequestLoading(actionName, filePath, ast, projectRoot = process.cwd(), files = createFileReader()) {
+  // 调用 findDeclareRequestInfo 查找接口定义
+  const info = findDeclareRequestInfo(actionName, filePath, ast, projectRoot, files);
+  
+  // 只有当第一个参数严格等于 'loading' 时，才返回 loading 信息
+  if (info && info.loadingName === 'loading') {
+    return info;
+  }
+  
+  return null;
+}
+
+/**
+ * 检查页面中是否使用了 declareRequest 定义的 loading
+ * 例如：const { pageLoading } = props.global; 和 <Spin spinning={pageLoading}>
+ * 
+ * @param {string} loadingName - loading 名称
+ * @param {string} content - 文件内容
+ * @param {string} template - 模板内容（Vue 文件）
+ * @param {boolean} requireJSXUsage - 是否要求在 JSX 中实际使用（规则2需要）
+ */
+function checkDeclareRequestLoadingUsage(loadingName, content, template = '', requireJSXUsage = false) {
+  if (!loadingName) return false;
+  
+  // 合并 content 和 template 进行统一检查
+  const fullContent = (content || '') + '\n' + (template || '');
+  
+  // 转义特殊字符
+  const escapedLoadingName = loadingName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  
+  // 检查解构赋值：const { pageLoading } = props.global; 或 const { pageLoading, other } = props.global;
+  const destructurePatterns = [
+    new RegExp(`const\\s*\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}\\s*=\\s*props\\.(global|\\w+)`, 'i'),
+    new RegExp(`let\\s*\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}\\s*=\\s*props\\.(global|\\w+)`, 'i'),
+    new RegExp(`var\\s*\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}\\s*=\\s*props\\.(global|\\w+)`, 'i')
+  ];
+  
+  let hasDestructure = false;
+  for (const pattern of destructurePatterns) {
+    if (pattern.test(fullContent)) {
+      hasDestructure = true;
+      break;
+    }
+  }
+  
+  // 如果要求 JSX 使用，则必须同时满足解构赋值和在 JSX 中使用
+  if (requireJSXUsage) {
+    if (!hasDestructure) {
+      return false; // 没有解构赋值，直接返回 false
+    }
+    
+    // 检查是否在 JSX 中实际使用（排除注释）
+    // 移除注释内容，避免匹配到注释中的代码
+    const contentWithoutComments = fullContent
+      .replace(/\/\*[\s\S]*?\*\//g, '') // 移除 /* */ 注释
+      .replace(/\/\/.*$/gm, ''); // 移除 // 注释
+    
+    // 检查模板中使用：<Spin spinning={pageLoading}> 或 <Table loading={pageLoading}> 或 <Button loading={pageLoading}>
+    const templatePatterns = [
+      new RegExp(`<Spin[^>]*spinning=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+      new RegExp(`<Table[^>]*loading=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+      new RegExp(`<Button[^>]*loading=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+      new RegExp(`spinning=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+      new RegExp(`loading=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+      new RegExp(`spinning=\\{[^}]*${escapedLoadingName}[^}]*\\}`, 'i'),
+      new RegExp(`loading=\\{[^}]*${escapedLoadingName}[^}]*\\}`, 'i')
+    ];
+    
+    for (const pattern of templatePatterns) {
+      if (pattern.test(contentWithoutComments)) {
+        return true; // 有解构赋值且在 JSX 中使用
+      }
+    }
+    
+    return false; // 有解构赋值但没有在 JSX 中使用
+  }
+  
+  // 不需要 JSX 使用的情况（规则1），只要有解构赋值或直接使用即可
+  if (hasDestructure) {
+    return true;
+  }
+  
+  // 检查直接使用：props.global.pageLoading 或 props.xxx.pageLoading
+  const directPattern = new RegExp(`props\\.(global|\\w+)\\.${escapedLoadingName}`, 'i');
+  if (directPattern.test(fullContent)) {
+    return true;
+  }
+  
+  // 检查模板中使用：<Spin spinning={pageLoading}> 或 <Table loading={pageLoading}> 或 <Button loading={pageLoading}>
+  const templatePatterns = [
+    new RegExp(`<Spin[^>]*spinning=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+    new RegExp(`<Table[^>]*loading=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+    new RegExp(`<Button[^>]*loading=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+    new RegExp(`spinning=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+    new RegExp(`loading=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i'),
+    new RegExp(`spinning=\\{[^}]*${escapedLoadingName}[^}]*\\}`, 'i'),
+    new RegExp(`loading=\\{[^}]*${escapedLoadingName}[^}]*\\}`, 'i')
+  ];
+  
+  for (const pattern of templatePatterns) {
+    if (pattern.test(fullContent)) {
+      return true;
+    }
+  }
+  
+  // 检查变量直接使用：pageLoading（在 JSX 表达式中）
+  const variablePattern = new RegExp(`\\b${escapedLoadingName}\\b`, 'i');
+  if (variablePattern.test(fullContent)) {
+    // 进一步检查是否在 JSX 表达式中使用（如 {pageLoading}）
+    const jsxUsagePattern = new RegExp(`\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i');
+    if (jsxUsagePattern.test(fullContent)) {
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * 检查是否是接口调用
+ * 支持多种接口调用方式：
+ * 1. declareRequest + Connect (通过 props 调用) - props.xxxAction()
+ * 2. http.Post / http.Get - http.Post(), http.Get()
+ * 3. axios - axios.post(), axios.get(), axios({})
+ * 4. XMLHttpRequest - new XMLHttpRequest(), xhr.open(), xhr.send()
+ * 5. props.dispatch - props.dispatch({ type: '...' })
+ * 6. fetchDataApi - fetchDataApi(params)
+ * 7. fetch - fetch()
+ * 8. $http - this.$http.post(), this.$http.get()
+ * 9. ajax - $.ajax(), jQuery.ajax()
+ *
+ * @param {object} callPath - CallExpression 的 path
+ * @param {string[]} requestMethods - 配置的请求方法关键词（见 getRequestMethods）
+ */
+function isApiCall(callPath, requestMethods = getRequestMethods({})) {
+  const callee = callPath.node.callee;
+  const methodName = getMethodName(callee);
+
+  // 1. 检查常见的 HTTP 请求方法
+  const httpMethods = ['post', 'get', 'put', 'delete', 'patch', 'request'];
+  if (httpMethods.some(method => methodName.toLowerCase().includes(method))) {
+    // 检查是否是接口调用（排除非接口调用的方法）
+    const excludePatterns = ['console', 'log', 'warn', 'error', 'debug', 'info'];
+    if (!excludePatterns.some(pattern => methodName.toLowerCase().includes(pattern))) {
+      return true;
+    }
+  }
+
+  // 2. 检查 props.xxxAction() 模式（dva-runtime declareRequest）
+  if (t.isMemberExpression(callee)) {
+    const object = callee.object;
+    const property = callee.property;
+
+    // props.xxxAction() 或 this.props.xxxAction()
+    if (t.isIdentifier(object) && object.name === 'props') {
+      if (t.isIdentifier(property) && property.name.endsWith('Action')) {
+        return true;
+      }
+    }
+
+    // this.props.xxxAction()
+    if (t.isMemberExpression(object)) {
+      // object 应该是 this.props，检查 object.object 是否是 this
+      const isThisProps = (t.isThisExpression(object.object) ||
+        (t.isIdentifier(object.object) && object.object.name === 'this')) &&
+        t.isIdentifier(object.property) &&
+        object.property.name === 'props';
+      if (isThisProps && t.isIdentifier(property) && property.name.endsWith('Action')) {
+        return true;
+      }
+    }
+
+    // http.Post(), http.Get() 等
+    if (t.isIdentifier(object) && object.name === 'http') {
+      if (t.isIdentifier(property) && ['Post', 'Get', 'Put', 'Delete', 'Patch'].includes(property.name)) {
+        return true;
+      }
+    }
+
+    // this.$http.post(), this.$http.get() 等
+    if (t.isMemberExpression(object) &&
+      t.isIdentifier(object.property) && object.property.name === '$http') {
+      if (t.isIdentifier(property) && httpMethods.includes(property.name.toLowerCase())) {
+        return true;
+      }
+    }
+
+    // $.ajax(), jQuery.ajax()
+    if ((t.isIdentifier(object) && object.name === '$') ||
+      (t.isIdentifier(object) && object.name === 'jQuery')) {
+      if (t.isIdentifier(property) && property.name === 'ajax') {
+        return true;
+      }
+    }
+
+    // ajax.post(), ajax.get() 等（自定义 ajax 对象）
+    if (t.isIdentifier(object) && object.name === 'ajax') {
+      if (t.isIdentifier(property) && httpMethods.includes(property.name.toLowerCase())) {
+        return true;
+      }
+    }
+  }
+
+  // 3. 检查 axios({}) 或 axios.post() 等
+  if (t.isIdentifier(callee) && callee.name === 'axios') {
+    return true;
+  }
+
+  // 4. 检查 fetch()
+  if (t.isIdentifier(callee) && callee.name === 'fetch') {
+    return true;
+  }
+
+  // 5. 检查 fetchDataApi()
+  if (t.isIdentifier(callee) && callee.name === 'fetchDataApi') {
+    return true;
+  }
+
+  // 6. 检查 props.dispatch()
+  if (t.isMemberExpression(callee)) {
+    const object = callee.object;
+    const property = callee.property;
+
+    if (t.isIdentifier(object) && object.name === 'props' &&
+      t.isIdentifier(property) && property.name === 'dispatch') {
+      // 检查 dispatch 的参数是否是对象，且包含 type 字段
+      const args = callPath.node.arguments;
+      if (args.length > 0 && t.isObjectExpression(args[0])) {
+        const props = args[0].properties;
+        const hasType = props.some(prop =>
+          t.isObjectProperty(prop) &&
+          t.isIdentifier(prop.key) &&
+          prop.key.name === 'type'
+        );
+        if (hasType) {
+          return true;
+        }
+      }
+    }
+  }
+
+  // 7. 检查 XMLHttpRequest 相关调用
+  if (t.isNewExpression(callee) &&
+    t.isIdentifier(callee.callee) &&
+    callee.callee.name === 'XMLHttpRequest') {
+    return true;
+  }
+
+  // 检查 xhr.open(), xhr.send() 等方法调用
+  if (t.isMemberExpression(callee)) {
+    const property = callee.property;
+    if (t.isIdentifier(property) && ['open', 'send', 'setRequestHeader'].includes(property.name)) {
+      // 检查对象是否是 xhr 或 XMLHttpRequest 实例
+      const object = callee.object;
+      if (t.isIdentifier(object)) {
+        // 简单检查：如果变量名包含 xhr 或 http，认为是 XMLHttpRequest
+        if (object.name.toLowerCase().includes('xhr') ||
+          object.name.toLowerCase().includes('http')) {
+          return true;
+        }
+      }
+    }
+  }
+
+  // 8. 检查配置中的自定义请求方法关键词
+  if (requestMethods.some(method => methodName.toLowerCase().includes(method.toLowerCase()))) {
+    // 排除非接口调用的方法
+    const excludePatterns = ['console', 'log', 'warn', 'error', 'debug', 'info', 'parse', 'stringify'];
+    if (!excludePatterns.some(pattern => methodName.toLowerCase().includes(pattern))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  getRequestMethods,
+  isApiCall,
+  getActionNameFromCall,
+  findDeclareRequestInfo,
+  findDeclareRequestLoading,
+  checkDeclareRequestLoadingUsage
+};
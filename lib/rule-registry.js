@@ -0,0 +1,148 @@
+/**
+ * 规则注册表
+ *
+ * 内置规则与配置文件 customRules 中声明的自定义规则都通过注册表统一管理。
+ * 每个规则模块需导出：
+ * - meta: { id, name, englishName?, docs, types?, defaultOptions, schema? }，id 同时也是配置文件中该规则的配置键，
+ *   schema 为规则配置项的结构（见 lib/config-schema.js）
+ * - check(context): 返回错误数组或 null，context 包含 filePath、parsed、diff、changes、options、config、cwd，
+ *   以及读取其他文件的 files（见 lib/dependencies.js）
+ */
+
+const path = require('path');
+const builtinRules = require('./rules');
+const { mergeOptions } = require('./config-merge');
+const { loadModule } = require('./config-loader');
+const { createTranslator, resolveLocale } = require('./i18n');
+
+/**
+ * 校验规则模块格式
+ */
+function assertValidRule(rule, source, t) {
+  if (!rule || !rule.meta || typeof rule.meta.id !== 'string' || typeof rule.check !== 'function') {
+    throw new Error(t('registry.invalidRule', { source }));
+  }
+}
+
+/**
+ * 创建规则注册表
+ *
+ * @param {Function} [t] - 翻译函数，用于错误提示，默认按环境变量识别语言
+ */
+function createRuleRegistry(t = createTranslator(resolveLocale())) {
+  const rules = new Map();
+  const moduleFiles = new Set();
+
+  return {
+    /**
+     * 注册规则，moduleFile 为自定义规则模块的文件路径，用于计算缓存键
+     */
+    register(rule, source, moduleFile) {
+      assertValidRule(rule, source || (rule && rule.meta && rule.meta.id), t);
+      if (rules.has(rule.meta.id)) {
+        throw new Error(t('registry.duplicateRule', { id: rule.meta.id, source: source || rule.meta.id }));
+      }
+      rules.set(rule.meta.id, rule);
+      if (moduleFile) moduleFiles.add(moduleFile);
+    },
+
+    get(id) {
+      return rules.get(id) || null;
+    },
+
+    getAll() {
+      return Array.from(rules.values());
+    },
+
+    getModuleFiles() {
+      return Array.from(moduleFiles);
+    }
+  };
+}
+
+/**
+ * 加载自定义规则模块
+ * - 以 . 或 / 开头的视为本地路径，相对于配置文件所在目录解析
+ * - 其他视为 npm 包名，从项目目录开始解析
+ * 模块可以导出单个规则、规则数组，或 { rules: [...] }；ES 模块使用默认导出或同名的具名导出
+ *
+ * @returns {Promise<{ file: string, rules: object[] }>} 模块的文件路径与其中的规则
+ */
+async function loadCustomRules(specifier, baseDir) {
+  const isLocalPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+  const resolved = isLocalPath
+    ? path.resolve(baseDir, specifier)
+    : require.resolve(specifier, { paths: [baseDir] });
+
+  const exported = await loadModule(resolved);
+  if (Array.isArray(exported)) return { file: resolved, rules: exported };
+  if (exported && Array.isArray(exported.rules)) return { file: resolved, rules: exported.rules };
+  return { file: resolved, rules: [exported] };
+}
+
+/**
+ * 根据配置创建注册表：先注册内置规则，再注册 customRules 中的自定义规则
+ *
+ * @param {object} config - 已加载的配置
+ * @param {string} baseDir - 解析自定义规则路径的基准目录（通常为配置文件所在目录）
+ * @param {Function} [t] - 翻译函数，用于错误提示，默认按环境变量识别语言
+ * @returns {Promise<object>} 规则注册表
+ */
+async function createRegistryFromConfig(config, baseDir = process.cwd(), t = createTranslator(resolveLocale())) {
+  const registry = createRuleRegistry(t);
+
+  builtinRules.forEach(rule => registry.register(rule));
+
+  for (const specifier of mergeOptions([], config.customRules)) {
+    let loaded;
+    try {
+      loaded = await loadCustomRules(specifier, baseDir);
+    } catch (e) {
+      throw new Error(t('registry.loadFailed', { specifier, error: e.message }));
+    }
+    loaded.rules.forEach(rule => registry.register(rule, specifier, loaded.file));
+  }
+
+  return registry;
+}
+
+/**
+ * 获取规则的生效配置：配置文件中的同名配置逐层合并到规则的默认配置上（见 lib/config-merge.js）
+ */
+function resolveRuleOptions(rule, config) {
+  return mergeOptions({ enabled: true, ...(rule.meta.defaultOptions || {}) }, config[rule.meta.id]);
+}
+
+/**
+ * 获取问题的严重级别：'error' | 'warn' | 'off'
+ * - enabled: false 等同于 severity: 'off'
+ * - severity 可以是字符串，也可以是按问题类型设置的对象，如 { default: 'error', debounceDelay: 'warn' }
+ */
+function getSeverity(options, type) {
+  if (options.enabled === false) return 'off';
+
+  const severity = options.severity || 'error';
+  if (typeof severity === 'string') return severity;
+
+  return severity[type] || severity.default || 'error';
+}
+
+/**
+ * 判断规则是否需要执行：规则整体关闭时无需执行
+ */
+function isRuleEnabled(options) {
+  if (options.enabled === false) return false;
+  if (typeof options.severity === 'object' && options.severity !== null) {
+    // 未设置 default 时，未列出的问题类型按 error 处理
+    return Object.values({ default: 'error', ...options.severity }).some(severity => severity !== 'off');
+  }
+  return options.severity !== 'off';
+}
+
+module.exports = {
+  createRuleRegistry,
+  createRegistryFromConfig,
+  resolveRuleOptions,
+  getSeverity,
+  isRuleEnabled
+};
@@ -0,0 +1,13 @@
+/**
+ * 内置规则列表
+ *
+ * 按顺序注册到规则注册表，输出时也按此顺序排列
+ */
+
+module.exports = [
+  require('./rule1'),
+  require('./rule2'),
+  require('./rule3'),
+  require('./rule4'),
+  require('./rule5')
+];
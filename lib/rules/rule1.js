@@ -0,0 +1,1494 @@
+/**
+ * 规则1：新增按钮接口调用防重复提交检查
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { ASTUtils, getMethodName } = require('../ast-utils');
+const { getNodeLocation, getOffsetLocation } = require('../location');
+const {
+  getRequestMethods,
+  isApiCall,
+  getActionNameFromCall,
+  findDeclareRequestInfo,
+  findDeclareRequestLoading,
+  checkDeclareRequestLoadingUsage
+} = require('../request-utils');
+
+const meta = {
+  id: 'rule1',
+  name: '防重复提交缺失',
+  englishName: 'Missing duplicate-submit protection',
+  docs: {
+    description: '新增按钮接口调用防重复提交检查'
+  },
+  // 问题类型，可在配置中按类型单独设置 severity
+  types: {
+    missingProtection: '点击事件调用接口但未实现防重复提交',
+    debounceDelay: '防抖/节流延迟时间小于 500ms',
+    loadingNotBound: '定义了 loading 状态但未绑定到组件',
+    wrongLoading: '使用了其他接口的 loading'
+  },
+  defaultOptions: {
+    enabled: true,
+    whitelist: {
+      keywords: ['查看', '查看详情', '取消', '返回', '关闭', '详情', 'view', 'cancel', 'close', 'detail']
+    },
+    customKeywords: {
+      requestMethods: ['fetch', 'axios', 'request', 'http', 'api', 'action', 'dispatch', 'xhr', 'ajax', 'fetchdataapi']
+    }
+  },
+  // 配置项结构，用于校验配置文件，enabled、severity 为通用配置项无需声明
+  schema: {
+    whitelist: {
+      type: 'object',
+      properties: {
+        keywords: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    customKeywords: {
+      type: 'object',
+      properties: {
+        requestMethods: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * 检查规则1：新增按钮接口调用防重复提交检查
+ */
+function checkRule1(context) {
+  const { parsed, changes } = context;
+  const errors = [];
+  const { type, ast, template = '', content } = parsed;
+
+  // 检查是否在 diff 中新增了按钮，或者检查所有按钮（如果文件是新增的）
+  const isNewFile = changes.isNewFile;
+  
+  // 使用AST检查是否有按钮相关代码（避免匹配注释和字符串）
+  let hasNewButton = false;
+  if (changes.addedLines.length > 0) {
+    // 从diff中提取新增的代码行
+    const addedCode = changes.addedLines.map(added => added.content).join('\n');
+    
+    // 移除注释和字符串后检查
+    const cleanDiff = ASTUtils.removeCommentsAndStrings(addedCode);
+    const buttonKeywords = ['button', 'Button', '@click', 'onClick', 'onOk', 'onConfirm', 'onFinish', 'htmlType', 'Modal', 'Drawer', 'Popconfirm', 'Form'];
+    hasNewButton = buttonKeywords.some(keyword => {
+      const pattern = new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      return pattern.test(cleanDiff);
+    });
+    
+    // 如果AST可用，也使用AST检查
+    if (ast && !hasNewButton) {
+      hasNewButton = ASTUtils.hasJSXComponent(ast, 'Button') ||
+                     ASTUtils.hasJSXComponent(ast, 'Modal') ||
+                     ASTUtils.hasJSXComponent(ast, 'Drawer') ||
+                     ASTUtils.hasJSXComponent(ast, 'Popconfirm') ||
+                     ASTUtils.hasJSXComponent(ast, 'Form') ||
+                     ASTUtils.hasKeyword(ast, content, ['onClick', 'onOk', 'onConfirm', 'onFinish', 'htmlType']);
+    }
+  }
+
+  // 如果既不是新文件，也没有新增按钮，则跳过检查
+  if (!isNewFile && !hasNewButton) {
+    return null;
+  }
+
+  // 提取按钮和点击事件（包括 Modal、Drawer、Form 等组件的确认按钮）
+  const buttonPatterns = [
+    /<button[^>]*onclick=["']([^"']+)["'][^>]*>/gi,
+    /<button[^>]*@click=["']([^"']+)["'][^>]*>/gi,
+    /<ElButton[^>]*@click=["']([^"']+)["'][^>]*>/gi,
+    /<Button[^>]*onClick=\{([^}]+)\}[^>]*>/gi,
+    // Modal、Drawer 等组件的 onOk 属性（支持多行）
+    /<Modal[\s\S]*?onOk\s*=\s*\{([^}]+)\}/gi,
+    /<Drawer[\s\S]*?onOk\s*=\s*\{([^}]+)\}/gi,
+    /<Popconfirm[\s\S]*?onConfirm\s*=\s*\{([^}]+)\}/gi,
+    // Form 组件的 onFinish 属性（支持多行）
+    /<Form[\s\S]*?onFinish\s*=\s*\{([^}]+)\}/gi
+  ];
+
+  const handlers = new Set();
+  
+  // 移除注释，避免匹配到注释中的代码
+  const removeComments = (text) => {
+    return text
+      .replace(/\/\*[\s\S]*?\*\//g, '') // 移除 /* */ 注释
+      .replace(/\/\/.*$/gm, ''); // 移除 // 注释
+  };
+  
+  const contentWithoutComments = removeComments(content);
+
+  // 如果是新文件，检查整个文件内容（跳过注释）
+  if (isNewFile) {
+    // 直接在原始内容中匹配，但检查是否在注释中
+    for (const pattern of buttonPatterns) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        const matchStart = match.index;
+        const beforeMatch = content.substring(0, matchStart);
+        
+        // 检查是否在多行注释中
+        const lastMultiCommentStart = beforeMatch.lastIndexOf('/*');
+        const lastMultiCommentEnd = beforeMatch.lastIndexOf('*/');
+        const isInMultiComment = lastMultiCommentStart > lastMultiCommentEnd;
+        
+        // 检查是否在单行注释中
+        const linesBeforeMatch = beforeMatch.split('\n');
+        const currentLine = linesBeforeMatch[linesBeforeMatch.length - 1];
+        const commentStartInLine = currentLine.indexOf('//');
+        const matchStartInLine = matchStart - (beforeMatch.lastIndexOf('\n') + 1);
+        const isInSingleComment = commentStartInLine !== -1 && commentStartInLine < matchStartInLine;
+        
+        // 如果不在注释中，才添加handler
+        if (!isInMultiComment && !isInSingleComment) {
+          const handlerName = match[1].trim().replace(/['"]/g, '').replace(/\(\)/g, '');
+          handlers.add({ name: handlerName, location: getOffsetLocation(content, matchStart, matchStart + match[0].length) });
+        }
+      }
+    }
+  } else if (hasNewButton) {
+    // 如果只是新增了按钮，从 diff 中提取新增的行
+    const addedLines = changes.addedLines;
+
+    // 检查新增的行中是否包含按钮（移除注释后）
+    for (const addedLine of addedLines) {
+      const lineWithoutComments = removeComments(addedLine.content);
+      // 如果移除注释后内容为空，说明整行都是注释，跳过
+      if (!lineWithoutComments.trim()) continue;
+      
+      for (const pattern of buttonPatterns) {
+        pattern.lastIndex = 0; // 重置正则
+        const match = pattern.exec(lineWithoutComments);
+        if (match) {
+          const handlerName = match[1].trim().replace(/['"]/g, '').replace(/\(\)/g, '');
+          const column = match.index + 1;
+          handlers.add({
+            name: handlerName,
+            location: { line: addedLine.line, column, endLine: addedLine.line, endColumn: column + match[0].length }
+          });
+        }
+      }
+    }
+  }
+
+  // 检查每个处理函数（对同一个handler只检查一次）
+  const checkedHandlers = new Set(); // 记录已经检查过的handler名称
+  if (ast && handlers.size > 0) {
+    traverse(ast, {
+      FunctionDeclaration(path) {
+        const funcName = path.node.id?.name;
+        if (!funcName) return;
+
+        handlers.forEach(handler => {
+          // 匹配处理函数名（支持 handleSubmit、onSubmit、submit 等多种格式）
+          const handlerName = handler.name.replace(/['"()]/g, '').trim();
+          if (funcName === handlerName ||
+            handlerName.includes(funcName) ||
+            funcName.toLowerCase() === handlerName.toLowerCase() ||
+            handlerName.toLowerCase().includes(funcName.toLowerCase())) {
+            // 对同一个handler只检查一次
+            if (!checkedHandlers.has(handlerName)) {
+              checkedHandlers.add(handlerName);
+              checkHandlerForRule1(path, handler, errors, context);
+            }
+          }
+        });
+      },
+      FunctionExpression(path) {
+        const parent = path.parent;
+        if (parent && t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) {
+          const funcName = parent.id.name;
+          handlers.forEach(handler => {
+            const handlerName = handler.name.replace(/['"()]/g, '').trim();
+            if (funcName === handlerName ||
+              handlerName.includes(funcName) ||
+              funcName.toLowerCase() === handlerName.toLowerCase()) {
+              // 对同一个handler只检查一次
+              if (!checkedHandlers.has(handlerName)) {
+                checkedHandlers.add(handlerName);
+                checkHandlerForRule1(path, handler, errors, context);
+              }
+            }
+          });
+        }
+      },
+      ArrowFunctionExpression(path) {
+        const parent = path.parent;
+        // 支持 const onSave = () => {} 和 const onSave = async () => {}
+        if (parent && t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) {
+          const funcName = parent.id.name;
+          handlers.forEach(handler => {
+            const handlerName = handler.name.replace(/['"()]/g, '').trim();
+            if (funcName === handlerName ||
+              handlerName.includes(funcName) ||
+              funcName.toLowerCase() === handlerName.toLowerCase()) {
+              // 对同一个handler只检查一次
+              if (!checkedHandlers.has(handlerName)) {
+                checkedHandlers.add(handlerName);
+                checkHandlerForRule1(path, handler, errors, context);
+              }
+            }
+          });
+        }
+      },
+      // 检查 Vue methods 中的函数
+      ObjectMethod(path) {
+        const funcName = path.node.key?.name;
+        if (!funcName) return;
+
+        handlers.forEach(handler => {
+          const handlerName = handler.name.replace(/['"()]/g, '').trim();
+          if (funcName === handlerName ||
+            handlerName.includes(funcName) ||
+            funcName.toLowerCase() === handlerName.toLowerCase()) {
+            // 对同一个handler只检查一次
+            if (!checkedHandlers.has(handlerName)) {
+              checkedHandlers.add(handlerName);
+              checkHandlerForRule1(path, handler, errors, context);
+            }
+          }
+        });
+      }
+    });
+  }
+
+  return errors.length > 0 ? errors : null;
+}
+
+/**
+ * 检查处理函数是否符合规则1
+ */
+function checkHandlerForRule1(path, handler, errors, context) {
+  const { filePath, parsed, options, translate } = context;
+  const requestMethods = getRequestMethods(context.config);
+  const funcName = handler.name;
+
+  // 检查白名单
+  const whitelistKeywords = options.whitelist.keywords || [];
+  if (whitelistKeywords.some(keyword => funcName.includes(keyword))) {
+    return;
+  }
+
+  // 获取AST（如果可用）
+  const ast = parsed.ast || null;
+
+  let hasApiCall = false;
+  let hasProtection = false;
+  // 用于检查问题1和问题2的变量
+  let definedButNotUsed = false;
+  let usedWrongLoading = false;
+  let correctLoadingName = null;
+  let foundModalOrDrawerWithoutLoading = false; // 标记是否找到 Modal/Drawer/Form 但没有 loading（在函数开始时初始化）
+  let shortDebounceDelay = null; // 使用了防抖/节流但延迟时间不足 500ms 时，记录该延迟时间
+
+  // 检查函数开始处是否有状态锁检查（如 if (isSubmitting) return;）
+  const funcBody = path.node.body;
+  if (t.isBlockStatement(funcBody) && funcBody.body.length > 0) {
+    const firstStmt = funcBody.body[0];
+    if (t.isIfStatement(firstStmt)) {
+      const test = firstStmt.test;
+      if (t.isIdentifier(test) ||
+        (t.isUnaryExpression(test) && t.isIdentifier(test.argument)) ||
+        (t.isBinaryExpression(test) && t.isIdentifier(test.left))) {
+        const varName = t.isIdentifier(test) ? test.name :
+          (t.isUnaryExpression(test) ? test.argument.name : test.left.name);
+        if (varName && (varName.includes('Submitting') || varName.includes('Loading') ||
+          varName.includes('loading') || varName.includes('submitting'))) {
+          hasProtection = true; // 函数开始处有状态锁检查
+        }
+      }
+    }
+  }
+
+  // 使用 path.traverse 而不是独立的 traverse，这样可以正确传递 scope 和 parentPath
+  let loadingVarName = null; // 记录loading变量名
+
+  // 首先检查模板中是否有loading绑定
+  if (parsed.template) {
+    const handlerName = handler.name.replace(/['"()]/g, '').trim();
+    // 检查按钮是否有loading属性绑定
+    const loadingPatterns = [
+      new RegExp(`<[^>]*${handlerName}[^>]*:loading`, 'i'),
+      new RegExp(`<[^>]*${handlerName}[^>]*loading=`, 'i'),
+      new RegExp(`<[^>]*loading.*${handlerName}`, 'i'),
+      // 检查 Button 组件的 loading 属性（只要Button有loading属性即可，不关心位置）
+      new RegExp(`<Button[\\s\\S]*?loading\\s*=\\s*\\{([^}]+)\\}`, 'i')
+    ];
+
+    for (const pattern of loadingPatterns) {
+      const match = parsed.template.match(pattern);
+      if (match) {
+        // 提取loading变量名
+        if (match[1]) {
+          loadingVarName = match[1].trim().replace(/['"{}]/g, '');
+        }
+        break;
+      }
+    }
+  }
+
+  path.traverse({
+    CallExpression(callPath) {
+      // 使用新的 isApiCall 函数检测接口调用
+      if (isApiCall(callPath, requestMethods)) {
+        hasApiCall = true;
+
+        // 检查是否有防重复提交保护
+        // 1. 检查是否有防抖/节流包装
+        // 2. 检查是否有状态锁
+        // 3. 检查是否有loading状态管理（新增：接口调用前设置loading为true，调用后设置为false）
+
+        // 检查防抖/节流：逐层向外查找，任一层的延迟时间不小于 500ms 即认为有保护
+        let currentPath = callPath;
+        let innermostShortDelay = null;
+        while (currentPath && currentPath.parentPath) {
+          const parentNode = currentPath.parentPath.node;
+          // 只有作为参数传入防抖/节流函数时才是被包装的函数，debounce(fn, 300)() 中外层的调用不算
+          if (parentNode && t.isCallExpression(parentNode) && parentNode.arguments.includes(currentPath.node)) {
+            const parentCallee = getMethodName(parentNode.callee);
+            if (parentCallee.includes('debounce') || parentCallee.includes('throttle')) {
+              // 检查延迟时间
+              const args = parentNode.arguments;
+              if (args && args.length >= 2) {
+                const delay = args[1];
+                if (t.isNumericLiteral(delay) && delay.value >= 500) {
+                  hasProtection = true;
+                  break;
+                } else if (t.isNumericLiteral(delay)) {
+                  // 延迟时间不足时继续检查外层，外层都不满足时以最内层的延迟时间提示
+                  if (innermostShortDelay === null) innermostShortDelay = delay.value;
+                } else if (t.isIdentifier(delay)) {
+                  // 延迟时间可能是变量，暂时认为有保护
+                  hasProtection = true;
+                  break;
+                }
+              } else {
+                // 没有延迟参数，但使用了防抖/节流，认为有保护
+                hasProtection = true;
+                break;
+              }
+            }
+          }
+          currentPath = currentPath.parentPath;
+          if (!currentPath) break;
+        }
+        if (innermostShortDelay !== null) {
+          shortDebounceDelay = innermostShortDelay;
+        }
+
+        // 检查loading状态管理（新增逻辑）
+        const parentFunc = callPath.findParent(p => p.isFunction());
+        if (parentFunc && t.isBlockStatement(parentFunc.node.body)) {
+          const statements = parentFunc.node.body.body;
+
+          // 查找接口调用在函数体中的位置
+          let callIndex = -1;
+          for (let i = 0; i < statements.length; i++) {
+            const stmt = statements[i];
+            // 检查是否是包含接口调用的语句
+            if (t.isExpressionStatement(stmt)) {
+              // 直接匹配
+              if (stmt.expression === callPath.node) {
+                callIndex = i;
+                break;
+              }
+              // 检查是否是 CallExpression
+              if (t.isCallExpression(stmt.expression)) {
+                // 检查是否是接口调用本身
+                if (stmt.expression === callPath.node) {
+                  callIndex = i;
+                  break;
+                }
+                // 检查是否是链式调用，如 fetch().then() 或 props.xxxAction().then()
+                // 需要递归查找整个表达式树，找到接口调用
+                const findCallInExpression = (expr) => {
+                  if (!expr) return false;
+                  // 直接匹配
+                  if (expr === callPath.node) return true;
+                  // 如果是CallExpression，检查callee
+                  if (t.isCallExpression(expr)) {
+                    return findCallInExpression(expr.callee);
+                  }
+                  // 如果是MemberExpression，检查object
+                  if (t.isMemberExpression(expr)) {
+                    return findCallInExpression(expr.object);
+                  }
+                  return false;
+                };
+                
+                if (findCallInExpression(stmt.expression)) {
+                  callIndex = i;
+                  break;
+                }
+              }
+              // 检查是否是赋值语句，右侧是接口调用
+              if (t.isAssignmentExpression(stmt.expression) &&
+                t.isCallExpression(stmt.expression.right) &&
+                stmt.expression.right === callPath.node) {
+                callIndex = i;
+                break;
+              }
+            }
+            // 检查是否是变量声明，初始值是接口调用
+            if (t.isVariableDeclaration(stmt)) {
+              for (const declarator of stmt.declarations) {
+                if (t.isCallExpression(declarator.init) && declarator.init === callPath.node) {
+                  callIndex = i;
+                  break;
+                }
+              }
+              if (callIndex >= 0) break;
+            }
+          }
+
+          if (callIndex >= 0) {
+            // 检查调用前是否有设置loading为true
+            let loadingSetBefore = false;
+            let loadingVarBefore = null;
+
+            for (let i = 0; i < callIndex; i++) {
+              const stmt = statements[i];
+
+              // 检查赋值语句：loading = true 或 this.loading = true
+              if (t.isExpressionStatement(stmt) && t.isAssignmentExpression(stmt.expression)) {
+                const left = stmt.expression.left;
+                const right = stmt.expression.right;
+
+                if (t.isIdentifier(left)) {
+                  const varName = left.name;
+                  // 检查是否是loading相关的变量
+                  const isLoadingVar = varName.toLowerCase().includes('loading') ||
+                    varName.toLowerCase().includes('submitting') ||
+                    (loadingVarName && varName === loadingVarName);
+
+                  if (isLoadingVar) {
+                    // 检查是否设置为true
+                    if (t.isBooleanLiteral(right) && right.value === true) {
+                      loadingSetBefore = true;
+                      loadingVarBefore = varName;
+                      break;
+                    } else if (t.isUnaryExpression(right) && right.operator === '!' &&
+                      t.isBooleanLiteral(right.argument) && right.argument.value === false) {
+                      loadingSetBefore = true;
+                      loadingVarBefore = varName;
+                      break;
+                    }
+                  }
+                } else if (t.isMemberExpression(left)) {
+                  // 检查 this.loading = true 或 setState({ loading: true })
+                  const prop = left.property;
+                  if (t.isIdentifier(prop)) {
+                    const propName = prop.name;
+                    const isLoadingProp = propName.toLowerCase().includes('loading') ||
+                      propName.toLowerCase().includes('submitting');
+                    if (isLoadingProp &&
+                      (t.isBooleanLiteral(right) && right.value === true ||
+                        (t.isUnaryExpression(right) && right.operator === '!' &&
+                          t.isBooleanLiteral(right.argument) && right.argument.value === false))) {
+                      loadingSetBefore = true;
+                      loadingVarBefore = propName;
+                      break;
+                    }
+                  }
+                }
+              }
+
+              // 检查函数调用：setLoading(true) 或 setState({ loading: true })
+              if (t.isExpressionStatement(stmt) && t.isCallExpression(stmt.expression)) {
+                const callee = stmt.expression.callee;
+                const args = stmt.expression.arguments;
+
+                // 检查 setLoading(true) 模式
+                if (t.isIdentifier(callee)) {
+                  const funcName = callee.name;
+                  const funcNameLower = funcName.toLowerCase();
+                  // 检查是否是 setLoading, setSubmitting 等函数
+                  const isSetLoadingFunc = funcNameLower.includes('setloading') ||
+                    funcNameLower.includes('setsubmitting') ||
+                    (loadingVarName && (
+                      funcNameLower === 'set' + loadingVarName.toLowerCase() ||
+                      funcNameLower === 'set' + loadingVarName.toLowerCase().charAt(0).toUpperCase() + loadingVarName.toLowerCase().slice(1)
+                    ));
+
+                  if (isSetLoadingFunc && args.length > 0) {
+                    const arg = args[0];
+                    // 检查参数是否为 true
+                    if (t.isBooleanLiteral(arg) && arg.value === true) {
+                      loadingSetBefore = true;
+                      // 提取变量名（setLoading -> loading）
+                      if (loadingVarName) {
+                        loadingVarBefore = loadingVarName;
+                      } else {
+                        // 从函数名中提取：setLoading -> loading
+                        loadingVarBefore = funcName.replace(/^set/i, '').toLowerCase();
+                      }
+                      break;
+                    }
+                  }
+                } else if (t.isMemberExpression(callee)) {
+                  // 检查 this.setState({ loading: true }) 模式
+                  const prop = callee.property;
+                  if (t.isIdentifier(prop) && prop.name === 'setState' && args.length > 0) {
+                    const arg = args[0];
+                    if (t.isObjectExpression(arg)) {
+                      for (const prop of arg.properties) {
+                        if (t.isObjectProperty(prop) && t.isIdentifier(prop.key)) {
+                          const propName = prop.key.name;
+                          if (propName.toLowerCase().includes('loading') ||
+                            propName.toLowerCase().includes('submitting')) {
+                            const value = prop.value;
+                            if (t.isBooleanLiteral(value) && value.value === true) {
+                              loadingSetBefore = true;
+                              loadingVarBefore = propName;
+                              break;
+                            }
+                          }
+                        }
+                      }
+                      if (loadingSetBefore) break;
+                    }
+                  }
+                }
+              }
+            }
+
+            // 如果调用前设置了loading为true，检查调用后是否设置为false
+            if (loadingSetBefore && loadingVarBefore) {
+              // 检查Promise链中是否有设置loading为false
+              let currentPath = callPath;
+              let foundLoadingReset = false;
+
+              // 向上查找Promise链（.then(), .catch(), .finally()）
+              while (currentPath && currentPath.parentPath) {
+                if (currentPath.parentPath.isMemberExpression()) {
+                  const prop = currentPath.parentPath.node.property;
+                  if (t.isIdentifier(prop) &&
+                    (prop.name === 'then' || prop.name === 'catch' || prop.name === 'finally')) {
+                    // 找到Promise链，检查回调中是否有设置loading为false
+                    const thenCall = currentPath.parentPath.parentPath;
+                    if (thenCall && thenCall.isCallExpression()) {
+                      const callbacks = thenCall.node.arguments;
+                      for (const callback of callbacks) {
+                        if (callback && (t.isArrowFunctionExpression(callback) || t.isFunctionExpression(callback))) {
+                          const callbackBody = callback.body;
+                          if (t.isBlockStatement(callbackBody)) {
+                            // 检查回调函数体中是否有设置loading为false
+                            for (const callbackStmt of callbackBody.body) {
+                              // 检查赋值语句：loading = false
+                              if (t.isExpressionStatement(callbackStmt) &&
+                                t.isAssignmentExpression(callbackStmt.expression)) {
+                                const left = callbackStmt.expression.left;
+                                const right = callbackStmt.expression.right;
+
+                                // 检查是否是同一个loading变量
+                                let isSameLoadingVar = false;
+                                if (t.isIdentifier(left) && left.name === loadingVarBefore) {
+                                  isSameLoadingVar = true;
+                                } else if (t.isMemberExpression(left)) {
+                                  const prop = left.property;
+                                  if (t.isIdentifier(prop) && prop.name === loadingVarBefore) {
+                                    isSameLoadingVar = true;
+                                  }
+                                }
+
+                                if (isSameLoadingVar) {
+                                  // 检查是否设置为false
+                                  if (t.isBooleanLiteral(right) && right.value === false) {
+                                    foundLoadingReset = true;
+                                    break;
+                                  } else if (t.isUnaryExpression(right) && right.operator === '!' &&
+                                    t.isBooleanLiteral(right.argument) && right.argument.value === true) {
+                                    foundLoadingReset = true;
+                                    break;
+                                  }
+                                }
+                              }
+
+                              // 检查函数调用：setLoading(false)
+                              if (t.isExpressionStatement(callbackStmt) &&
+                                t.isCallExpression(callbackStmt.expression)) {
+                                const callee = callbackStmt.expression.callee;
+                                const args = callbackStmt.expression.arguments;
+
+                                // 检查 setLoading(false) 模式
+                                if (t.isIdentifier(callee)) {
+                                  const funcName = callee.name;
+                                  const funcNameLower = funcName.toLowerCase();
+                                  // 检查是否是 setLoading, setSubmitting 等函数
+                                  // 如果已经有 loadingVarBefore，检查是否匹配（如 setLoading 匹配 loading）
+                                  const isSetLoadingFunc = funcNameLower.includes('setloading') ||
+                                    funcNameLower.includes('setsubmitting') ||
+                                    (loadingVarBefore && (
+                                      // 精确匹配：setLoading 匹配 loading
+                                      funcNameLower === 'set' + loadingVarBefore.toLowerCase() ||
+                                      // 首字母大写匹配：setLoading 匹配 Loading
+                                      funcNameLower === 'set' + loadingVarBefore.toLowerCase().charAt(0).toUpperCase() + loadingVarBefore.toLowerCase().slice(1) ||
+                                      // 包含匹配：setLoading 包含 loading（更宽松的匹配）
+                                      funcNameLower.includes('set' + loadingVarBefore.toLowerCase())
+                                    ));
+
+                                  if (isSetLoadingFunc && args.length > 0) {
+                                    const arg = args[0];
+                                    // 检查参数是否为 false
+                                    if (t.isBooleanLiteral(arg) && arg.value === false) {
+                                      foundLoadingReset = true;
+                                      break;
+                                    }
+                                  }
+                                } else if (t.isMemberExpression(callee)) {
+                                  // 检查 this.setState({ loading: false }) 模式
+                                  const prop = callee.property;
+                                  if (t.isIdentifier(prop) && prop.name === 'setState' && args.length > 0) {
+                                    const arg = args[0];
+                                    if (t.isObjectExpression(arg)) {
+                                      for (const prop of arg.properties) {
+                                        if (t.isObjectProperty(prop) && t.isIdentifier(prop.key)) {
+                                          const propName = prop.key.name;
+                                          if (propName === loadingVarBefore ||
+                                            propName.toLowerCase().includes('loading') ||
+                                            propName.toLowerCase().includes('submitting')) {
+                                            const value = prop.value;
+                                            if (t.isBooleanLiteral(value) && value.value === false) {
+                                              foundLoadingReset = true;
+                                              break;
+                                            }
+                                          }
+                                        }
+                                      }
+                                      if (foundLoadingReset) break;
+                                    }
+                                  }
+                                }
+                              }
+
+                            }
+                          }
+                        }
+                        if (foundLoadingReset) break;
+                      }
+                    }
+                  }
+                }
+                currentPath = currentPath.parentPath;
+                if (foundLoadingReset) break;
+              }
+
+              // 如果找到了loading的设置和重置，还需要检查是否在JSX中实际使用了这个loading
+              // 只有在JSX中实际使用了loading时，才认为有防重复提交保护
+              if (foundLoadingReset && loadingVarBefore) {
+                // 使用AST检查loading是否在JSX中实际使用（避免匹配注释）
+                let foundInJSX = false;
+                
+                // 优先使用AST检查
+                if (ast) {
+                  traverse(ast, {
+                    JSXOpeningElement(jsxPath) {
+                      const elementName = jsxPath.node.name;
+                      let componentName = '';
+                      
+                      if (t.isJSXIdentifier(elementName)) {
+                        componentName = elementName.name;
+                      } else if (t.isJSXMemberExpression(elementName)) {
+                        const object = elementName.object;
+                        const property = elementName.property;
+                        if (t.isJSXIdentifier(object) && t.isJSXIdentifier(property)) {
+                          componentName = `${object.name}.${property.name}`;
+                        }
+                      }
+                      
+                      // 检查Button组件
+                      if (componentName === 'Button') {
+                        const attributes = jsxPath.node.attributes || [];
+                        for (const attr of attributes) {
+                          if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name) && attr.name.name === 'loading') {
+                            // 检查loading属性的值
+                            if (attr.value) {
+                              if (t.isJSXExpressionContainer(attr.value) && t.isIdentifier(attr.value.expression)) {
+                                if (attr.value.expression.name === loadingVarBefore) {
+                                  foundInJSX = true;
+                                  jsxPath.stop();
+                                  return;
+                                }
+                              } else if (t.isJSXExpressionContainer(attr.value) && t.isMemberExpression(attr.value.expression)) {
+                                // 支持 this.loading 或 props.loading
+                                const memberExpr = attr.value.expression;
+                                if (t.isIdentifier(memberExpr.property) && memberExpr.property.name === loadingVarBefore) {
+                                  foundInJSX = true;
+                                  jsxPath.stop();
+                                  return;
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }
+                      
+                      // 检查Modal组件的confirmLoading
+                      if (componentName === 'Modal' || componentName === 'Drawer') {
+                        const attributes = jsxPath.node.attributes || [];
+                        for (const attr of attributes) {
+                          if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name) && 
+                              (attr.name.name === 'confirmLoading' || attr.name.name === 'loading')) {
+                            if (attr.value) {
+                              if (t.isJSXExpressionContainer(attr.value) && t.isIdentifier(attr.value.expression)) {
+                                if (attr.value.expression.name === loadingVarBefore) {
+                                  foundInJSX = true;
+                                  jsxPath.stop();
+                                  return;
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  });
+                }
+                
+                // 如果AST检查没有找到，回退到正则匹配（但移除注释）
+                if (!foundInJSX) {
+                  const fullContent = parsed.content || '';
+                  const contentWithoutComments = ASTUtils.removeCommentsAndStrings(fullContent);
+                  
+                  const escapedVarName = loadingVarBefore.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                  const loadingUsagePatterns = [
+                    new RegExp(`confirmLoading\\s*=\\s*\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`loading\\s*:\\s*${escapedVarName}\\b`, 'i'), // 匹配 loading: loading (注意：需要单词边界)
+                    new RegExp(`loading\\s*=\\s*\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`okButtonProps\\s*=\\s*\\{[^}]*loading\\s*:\\s*${escapedVarName}\\b[^}]*\\}`, 'i'), // 匹配 okButtonProps={{ loading: loading }}
+                    new RegExp(`okButtonProps\\s*=\\s*\\{[^}]*loading\\s*=\\s*\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}[^}]*\\}`, 'i'),
+                    // 检查 Button 组件的 loading 属性（只要Button有loading属性，且值是正确的loading变量即可，不关心位置）
+                    // 注意：这里要排除注释中的loading，所以使用contentWithoutComments
+                    new RegExp(`<Button[\\s\\S]*?loading\\s*=\\s*\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i')
+                  ];
+                  
+                  for (const pattern of loadingUsagePatterns) {
+                    if (pattern.test(contentWithoutComments)) {
+                      foundInJSX = true;
+                      break;
+                    }
+                  }
+                }
+                
+                // 只有在JSX中实际使用了loading时，才设置hasProtection
+                // 但是，如果Button有htmlType="submit"且Form有onFinish，需要特别检查Button的loading
+                if (foundInJSX) {
+                  // 即使找到了loading的使用，也要检查是否是Form的onFinish情况
+                  // 如果是Form的onFinish，且Button有htmlType="submit"，必须确保Button有loading
+                  let needCheckSubmitButton = false;
+                  if (ast) {
+                    traverse(ast, {
+                      JSXOpeningElement(jsxPath) {
+                        const elementName = jsxPath.node.name;
+                        let componentName = '';
+                        
+                        if (t.isJSXIdentifier(elementName)) {
+                          componentName = elementName.name;
+                        }
+                        
+                        // 检查Form组件是否有onFinish
+                        if (componentName === 'Form') {
+                          const attributes = jsxPath.node.attributes || [];
+                          for (const attr of attributes) {
+                            if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name) && attr.name.name === 'onFinish') {
+                              if (attr.value && t.isJSXExpressionContainer(attr.value)) {
+                                const expr = attr.value.expression;
+                                if (t.isIdentifier(expr)) {
+                                  const formOnFinishName = expr.name;
+                                  const currentHandlerName = handler.name.replace(/['"()]/g, '').trim();
+                                  if (formOnFinishName === currentHandlerName || 
+                                      currentHandlerName.toLowerCase() === formOnFinishName.toLowerCase()) {
+                                    needCheckSubmitButton = true;
+                                  }
+                                }
+                              }
+                              break;
+                            }
+                          }
+                        }
+                      }
+                    });
+                  }
+                  
+                  // 如果需要检查submit按钮，验证Button是否有loading
+                  if (needCheckSubmitButton && ast) {
+                    let submitButtonHasHtmlTypeSubmit = false;
+                    let submitButtonHasLoading = false;
+                    let submitButtonInForm = false;
+                    
+                    traverse(ast, {
+                      JSXOpeningElement(jsxPath) {
+                        const elementName = jsxPath.node.name;
+                        let componentName = '';
+                        
+                        if (t.isJSXIdentifier(elementName)) {
+                          componentName = elementName.name;
+                        }
+                        
+                        if (componentName === 'Button') {
+                          let parent = jsxPath.parentPath;
+                          let inForm = false;
+                          while (parent) {
+                            if (parent.isJSXOpeningElement()) {
+                              const parentName = parent.node.name;
+                              if (t.isJSXIdentifier(parentName) && parentName.name === 'Form') {
+                                inForm = true;
+                                submitButtonInForm = true;
+                                break;
+                              }
+                            }
+                            if (parent.isJSXElement()) {
+                              const parentElement = parent.node.openingElement;
+                              if (parentElement && t.isJSXIdentifier(parentElement.name) && parentElement.name.name === 'Form') {
+                                inForm = true;
+                                submitButtonInForm = true;
+                                break;
+                              }
+                            }
+                            parent = parent.parentPath;
+                            if (!parent) break;
+                          }
+                          
+                          if (inForm) {
+                            const attributes = jsxPath.node.attributes || [];
+                            for (const attr of attributes) {
+                              if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name)) {
+                                if (attr.name.name === 'htmlType') {
+                                  if (attr.value && t.isStringLiteral(attr.value) && attr.value.value === 'submit') {
+                                    submitButtonHasHtmlTypeSubmit = true;
+                                  }
+                                }
+                                if (attr.name.name === 'loading') {
+                                  submitButtonHasLoading = true;
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    });
+                    
+                    // 如果Button有htmlType="submit"但没有loading，应该报错
+                    if (submitButtonHasHtmlTypeSubmit && !submitButtonHasLoading) {
+                      foundInJSX = false; // 标记为没有找到loading，这样会触发错误
+                      definedButNotUsed = true;
+                      foundModalOrDrawerWithoutLoading = true;
+                    }
+                  }
+                  
+                  if (foundInJSX) {
+                    hasProtection = true;
+                  }
+                } else {
+                  // 如果定义了loading但没有在JSX中使用，标记为definedButNotUsed
+                  // 但需要检查是否是Form的onFinish情况，如果是，需要特别检查Button的htmlType="submit"
+                  if (loadingVarBefore) {
+                    // 检查是否是Form的onFinish情况
+                    let isFormOnFinish = false;
+                    let formButtonHasHtmlTypeSubmit = false;
+                    let formButtonHasLoading = false;
+                    
+                    if (ast) {
+                      traverse(ast, {
+                        JSXOpeningElement(jsxPath) {
+                          const elementName = jsxPath.node.name;
+                          let componentName = '';
+                          
+                          if (t.isJSXIdentifier(elementName)) {
+                            componentName = elementName.name;
+                          }
+                          
+                          // 检查Form组件是否有onFinish
+                          if (componentName === 'Form') {
+                            const attributes = jsxPath.node.attributes || [];
+                            for (const attr of attributes) {
+                              if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name) && attr.name.name === 'onFinish') {
+                                isFormOnFinish = true;
+                                break;
+                              }
+                            }
+                          }
+                          
+                          // 检查Form内的Button是否有htmlType="submit"和loading
+                          if (componentName === 'Button') {
+                            let inForm = false;
+                            let parent = jsxPath.parentPath;
+                            while (parent) {
+                              if (parent.isJSXOpeningElement()) {
+                                const parentName = parent.node.name;
+                                if (t.isJSXIdentifier(parentName) && parentName.name === 'Form') {
+                                  inForm = true;
+                                  break;
+                                }
+                              }
+                              parent = parent.parentPath;
+                            }
+                            
+                            if (inForm) {
+                              const attributes = jsxPath.node.attributes || [];
+                              for (const attr of attributes) {
+                                if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name)) {
+                                  if (attr.name.name === 'htmlType') {
+                                    if (attr.value && t.isStringLiteral(attr.value) && attr.value.value === 'submit') {
+                                      formButtonHasHtmlTypeSubmit = true;
+                                    }
+                                  }
+                                  if (attr.name.name === 'loading') {
+                                    formButtonHasLoading = true;
+                                  }
+                                }
+                              }
+                            }
+                          }
+                        }
+                      });
+                    }
+                    
+                    // 如果是Form的onFinish，且Button有htmlType="submit"，但没有loading，应该报错
+                    if (isFormOnFinish && formButtonHasHtmlTypeSubmit && !formButtonHasLoading) {
+                      definedButNotUsed = true;
+                    } else if (!foundInJSX) {
+                      // 其他情况，如果定义了loading但没有使用，也标记为definedButNotUsed
+                      definedButNotUsed = true;
+                    }
+                  }
+                }
+              }
+            }
+
+            // 原有的状态锁检查逻辑（保留兼容性）
+            // 注意：这里不再自动设置hasProtection，因为需要检查loading是否在JSX中实际使用
+            // 如果只是设置了loading但没有在JSX中使用，不应该认为有保护
+            // 这个检查逻辑已经在上面的loading状态管理检查中处理了
+          }
+        }
+      }
+    }
+  });
+
+  // 检查模板中是否有 disabled 绑定（对于 Vue 文件）
+  if (parsed.template) {
+    const handlerName = handler.name.replace(/['"()]/g, '').trim();
+    const disabledPattern = new RegExp(`disabled.*${handlerName}|${handlerName}.*disabled`, 'i');
+    if (disabledPattern.test(parsed.template) || parsed.template.includes(':disabled') || parsed.template.includes('v-bind:disabled')) {
+      hasProtection = true;
+    }
+  }
+
+  // 检查是否使用了 declareRequest 定义的 loading（防重复提交）
+  // 同时检查：1. 定义了loading但没有使用；2. 使用了其他接口的loading
+  // 注意：只有在没有找到其他保护机制时，才检查definedButNotUsed和usedWrongLoading
+  // 如果在上面的path.traverse中已经设置了hasProtection = true，说明已经找到了有效的保护机制，就不需要再检查这些问题了
+  
+  // 特别检查：当Button有htmlType="submit"时，如果Form有onFinish且onFinish中调用了接口，Button必须有loading
+  // 只有当onFinish里没有调用接口，或者Form没有绑定onFinish方法，才不用loading
+  // 注意：这个检查应该在检查hasProtection之前进行，因为即使hasProtection为false，如果Button有htmlType="submit"且Form有onFinish，也应该检查
+  // 这个检查必须在path.traverse之后执行，因为hasApiCall是在path.traverse内部设置的
+  if (hasApiCall && parsed.ast) {
+    const ast = parsed.ast;
+    let formHasOnFinish = false;
+    let formOnFinishHandlerName = null;
+    let submitButtonHasHtmlTypeSubmit = false;
+    let submitButtonHasLoading = false;
+    let submitButtonInForm = false;
+    
+    // 检查Form是否有onFinish，以及Button是否有htmlType="submit"
+    traverse(ast, {
+      JSXOpeningElement(jsxPath) {
+        const elementName = jsxPath.node.name;
+        let componentName = '';
+        
+        if (t.isJSXIdentifier(elementName)) {
+          componentName = elementName.name;
+        }
+        
+        // 检查Form组件是否有onFinish
+        if (componentName === 'Form') {
+          const attributes = jsxPath.node.attributes || [];
+          for (const attr of attributes) {
+            if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name) && attr.name.name === 'onFinish') {
+              if (attr.value && t.isJSXExpressionContainer(attr.value)) {
+                const expr = attr.value.expression;
+                if (t.isIdentifier(expr)) {
+                  formHasOnFinish = true;
+                  formOnFinishHandlerName = expr.name;
+                }
+              }
+              break;
+            }
+          }
+        }
+        
+        // 检查Form内的Button是否有htmlType="submit"和loading
+        if (componentName === 'Button') {
+          // 检查这个Button是否在Form内（需要向上查找所有父节点，包括JSXElement）
+          let parent = jsxPath.parentPath;
+          let inForm = false;
+          while (parent) {
+            if (parent.isJSXOpeningElement()) {
+              const parentName = parent.node.name;
+              if (t.isJSXIdentifier(parentName) && parentName.name === 'Form') {
+                inForm = true;
+                submitButtonInForm = true;
+                break;
+              }
+            }
+            // 也需要检查JSXElement的父节点
+            if (parent.isJSXElement()) {
+              const parentElement = parent.node.openingElement;
+              if (parentElement && t.isJSXIdentifier(parentElement.name) && parentElement.name.name === 'Form') {
+                inForm = true;
+                submitButtonInForm = true;
+                break;
+              }
+            }
+            parent = parent.parentPath;
+            if (!parent) break;
+          }
+          
+          if (inForm) {
+            const attributes = jsxPath.node.attributes || [];
+            for (const attr of attributes) {
+              if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name)) {
+                if (attr.name.name === 'htmlType') {
+                  if (attr.value && t.isStringLiteral(attr.value) && attr.value.value === 'submit') {
+                    submitButtonHasHtmlTypeSubmit = true;
+                  }
+                }
+                if (attr.name.name === 'loading') {
+                  submitButtonHasLoading = true;
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+    
+    // 如果Form有onFinish，且Button有htmlType="submit"，且onFinish中调用了接口，但Button没有loading，应该报错
+    if (formHasOnFinish && submitButtonHasHtmlTypeSubmit && !submitButtonHasLoading) {
+      // 检查onFinish方法中是否调用了接口
+      // 如果hasApiCall为true，说明当前检查的函数（onFinish）中调用了接口
+      const currentHandlerName = handler.name.replace(/['"()]/g, '').trim();
+      const formOnFinishName = formOnFinishHandlerName ? formOnFinishHandlerName.trim() : '';
+      
+      // 匹配handler名称（支持多种格式：onFinish, onFinish(), "onFinish"等）
+      const handlerNameMatch = currentHandlerName === formOnFinishName ||
+          currentHandlerName.toLowerCase() === formOnFinishName.toLowerCase() ||
+          currentHandlerName.includes(formOnFinishName) ||
+          formOnFinishName.includes(currentHandlerName) ||
+          currentHandlerName.replace(/['"()]/g, '') === formOnFinishName.replace(/['"()]/g, '');
+      
+      if (handlerNameMatch) {
+        // onFinish方法中调用了接口，但Button没有loading，应该报错
+        // 强制设置这些标志，确保错误被报告
+        definedButNotUsed = true;
+        foundModalOrDrawerWithoutLoading = true;
+        hasProtection = false; // 确保hasProtection为false，这样会在最后报错
+      }
+    }
+  }
+  
+  if (!hasProtection && hasApiCall) {
+    // 查找函数中的所有接口调用
+    let foundDeclareRequestLoading = false;
+    // 注意：foundModalOrDrawerWithoutLoading 已经在上面检查htmlType="submit"时可能设置了，不要重新声明
+    // usedWrongLoading 和 correctLoadingName 也可能在上面设置了，不要重新声明
+    // 如果上面没有设置，这里保持初始值false/null
+    
+    // 先检查是否有 Modal/Drawer/Form 但没有 loading（在遍历接口调用之前）
+    const handlerName = handler.name.replace(/['"()]/g, '').trim();
+    const templateContent = parsed.template || parsed.content || '';
+    const fullContent = parsed.content || '';
+    
+    // 移除注释后检查（先移除多行注释，再移除单行注释）
+    const contentWithoutComments = fullContent
+      .replace(/\/\*[\s\S]*?\*\//g, '') // 移除 /* */ 注释
+      .replace(/\/\/.*$/gm, ''); // 移除 // 注释
+    
+    // 先不检查Modal/Drawer/Form是否有loading，这个检查会在检查declareRequest的loading时进行
+    // 这样可以检测到使用了错误的loading的情况
+    
+    // 检查问题1：定义了loading但没有使用
+    // 查找函数中是否有 setLoading(true) 和 setLoading(false) 的逻辑
+    let definedLoadingVars = new Set(); // 记录定义的loading变量名
+    let usedLoadingVars = new Set(); // 记录在JSX中使用的loading变量名
+    
+    // 查找函数中定义的loading变量（通过setLoading调用）
+    path.traverse({
+      CallExpression(setLoadingPath) {
+        const callee = setLoadingPath.node.callee;
+        if (t.isIdentifier(callee)) {
+          const funcName = callee.name;
+          const funcNameLower = funcName.toLowerCase();
+          // 检查是否是 setLoading, setSubmitting 等函数
+          if (funcNameLower.includes('setloading') || funcNameLower.includes('setsubmitting')) {
+            // 从函数名中提取变量名：setLoading -> loading
+            const loadingVarName = funcName.replace(/^set/i, '').toLowerCase();
+            definedLoadingVars.add(loadingVarName);
+          }
+        }
+      },
+      VariableDeclarator(varPath) {
+        // 检查数组解构：const [loading, setLoading] = useState(false);
+        if (t.isArrayPattern(varPath.node.id)) {
+          const elements = varPath.node.id.elements;
+          if (elements && elements.length > 0 && t.isIdentifier(elements[0])) {
+            const varName = elements[0].name;
+            const varNameLower = varName.toLowerCase();
+            if (varNameLower.includes('loading') || varNameLower.includes('submitting')) {
+              definedLoadingVars.add(varName);
+            }
+          }
+        }
+      }
+    });
+    
+    // 查找JSX中使用的loading变量
+    const fullContentForCheck = contentWithoutComments;
+    for (const loadingVar of definedLoadingVars) {
+      // 检查是否在JSX中使用（排除注释）
+      const escapedVarName = loadingVar.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      // 检查 Modal/Drawer/Button 等组件上的 loading 属性
+      const loadingUsagePatterns = [
+        new RegExp(`confirmLoading\\s*=\\s*\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i'),
+        new RegExp(`loading\\s*:\\s*${escapedVarName}\\b`, 'i'), // 匹配 loading: loading (注意：需要单词边界)
+        new RegExp(`loading\\s*=\\s*\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i'),
+        new RegExp(`okButtonProps\\s*=\\s*\\{[^}]*loading\\s*:\\s*${escapedVarName}\\b[^}]*\\}`, 'i'), // 匹配 okButtonProps={{ loading: loading }}
+        new RegExp(`okButtonProps\\s*=\\s*\\{[^}]*loading\\s*=\\s*\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}[^}]*\\}`, 'i'),
+        // 检查 Button 组件的 loading 属性（只要Button有loading属性，且值是正确的loading变量即可，不关心位置）
+        new RegExp(`<Button[\\s\\S]*?loading\\s*=\\s*\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i')
+      ];
+      
+      for (const pattern of loadingUsagePatterns) {
+        if (pattern.test(fullContentForCheck)) {
+          usedLoadingVars.add(loadingVar);
+          break;
+        }
+      }
+    }
+    
+    // 如果定义了loading但没有使用，标记为没有保护
+    const unusedLoadingVars = Array.from(definedLoadingVars).filter(v => !usedLoadingVars.has(v));
+    if (unusedLoadingVars.length > 0) {
+      // 定义了loading但没有使用，不设置hasProtection，让外层逻辑判定为没有保护
+      definedButNotUsed = true;
+      foundModalOrDrawerWithoutLoading = true;
+    }
+    
+    // 继续检查declareRequest的loading，这样可以检测到使用了错误的loading的情况
+    // 注意：即使定义了loading但没有使用，也要检查是否使用了错误的loading
+    path.traverse({
+      CallExpression(apiCallPath) {
+        if (isApiCall(apiCallPath, requestMethods)) {
+          const actionName = getActionNameFromCall(apiCallPath);
+          if (actionName) {
+            // 首先尝试查找第一个参数为 'loading' 的接口
+            let declareRequestInfo = findDeclareRequestLoading(actionName, filePath, parsed.ast, context.cwd, context.files);
+            // 如果没找到，查找接口定义（无论第一个参数是什么）
+            if (!declareRequestInfo) {
+              declareRequestInfo = findDeclareRequestInfo(actionName, filePath, parsed.ast, context.cwd, context.files);
+            }
+            
+            if (declareRequestInfo && declareRequestInfo.loadingName) {
+              // 检查页面中是否使用了这个 loading（在按钮或 Modal/Drawer 上绑定）
+              const handlerName = handler.name.replace(/['"()]/g, '').trim();
+              // 对于 JSX 文件，template 可能是 undefined，使用 content
+              const templateContent = parsed.template || parsed.content || '';
+              const fullContent = parsed.content || '';
+              
+              // 移除注释后检查
+              const contentWithoutComments = fullContent
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .replace(/\/\/.*$/gm, '');
+              const templateWithoutComments = templateContent
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .replace(/\/\/.*$/gm, '');
+              
+              // 转义特殊字符
+              const escapedLoadingName = declareRequestInfo.loadingName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+              const escapedHandlerName = handlerName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+              
+              // 检查问题2：是否使用了其他接口的loading
+              // 设置正确的loading名称
+              correctLoadingName = declareRequestInfo.loadingName;
+              
+              // 检查 Modal 是否使用了错误的loading
+              const modalMatch = contentWithoutComments.match(new RegExp(`<Modal[\\s\\S]*?</Modal>`, 'i'));
+              if (modalMatch) {
+                const modalContent = modalMatch[0];
+                const hasOnOk = new RegExp(`onOk[\\s\\S]*?${escapedHandlerName}`, 'i').test(modalContent);
+                if (hasOnOk) {
+                  // Modal 有 onOk，检查 confirmLoading
+                  const confirmLoadingMatch = modalContent.match(/confirmLoading\s*=\s*\{([^}]+)\}/i);
+                  if (confirmLoadingMatch) {
+                    const loadingValue = confirmLoadingMatch[1].trim();
+                    // 检查是否是当前接口对应的loading
+                    if (loadingValue === declareRequestInfo.loadingName) {
+                      foundDeclareRequestLoading = true;
+                      hasProtection = true;
+                      apiCallPath.stop();
+                      return;
+                    } else {
+                      // 使用了其他接口的loading
+                      usedWrongLoading = true;
+                      correctLoadingName = declareRequestInfo.loadingName;
+                      // 不设置hasProtection，让外层逻辑判定为没有保护
+                    }
+                  } else {
+                    // Modal 有 onOk 但没有 confirmLoading，检查 okButtonProps 中的 loading
+                    const okButtonPropsMatch = modalContent.match(/okButtonProps\s*=\s*\{([^}]+)\}/i);
+                    if (okButtonPropsMatch) {
+                      const okButtonPropsContent = okButtonPropsMatch[1];
+                      // 检查 okButtonProps 中是否有 loading
+                      const loadingInOkButtonPropsMatch = okButtonPropsContent.match(/loading\s*:\s*([^,}]+)/i);
+                      if (loadingInOkButtonPropsMatch) {
+                        const loadingValue = loadingInOkButtonPropsMatch[1].trim().replace(/['"]/g, '');
+                        // 检查是否是当前接口对应的loading
+                        if (loadingValue === declareRequestInfo.loadingName) {
+                          foundDeclareRequestLoading = true;
+                          hasProtection = true;
+                          apiCallPath.stop();
+                          return;
+                        } else {
+                          // 使用了其他接口的loading
+                          usedWrongLoading = true;
+                          correctLoadingName = declareRequestInfo.loadingName;
+                        }
+                      } else {
+                        // Modal 有 onOk，okButtonProps 存在但没有 loading
+                        foundModalOrDrawerWithoutLoading = true;
+                      }
+                    } else {
+                      // Modal 有 onOk 但没有 confirmLoading 和 okButtonProps
+                      foundModalOrDrawerWithoutLoading = true;
+                    }
+                  }
+                }
+              }
+              
+              // 检查 Drawer 是否使用了错误的loading
+              const drawerMatch = contentWithoutComments.match(new RegExp(`<Drawer[\\s\\S]*?</Drawer>`, 'i'));
+              if (drawerMatch) {
+                const drawerContent = drawerMatch[0];
+                const hasOnOk = new RegExp(`onOk[\\s\\S]*?${escapedHandlerName}`, 'i').test(drawerContent);
+                if (hasOnOk) {
+                  const confirmLoadingMatch = drawerContent.match(/confirmLoading\s*=\s*\{([^}]+)\}/i);
+                  if (confirmLoadingMatch) {
+                    const loadingValue = confirmLoadingMatch[1].trim();
+                    if (loadingValue === declareRequestInfo.loadingName) {
+                      foundDeclareRequestLoading = true;
+                      hasProtection = true;
+                      apiCallPath.stop();
+                      return;
+                    } else {
+                      usedWrongLoading = true;
+                    }
+                  } else {
+                    foundModalOrDrawerWithoutLoading = true;
+                  }
+                }
+              }
+              
+              // 检查 Popconfirm 是否使用了错误的loading
+              const popconfirmMatch = contentWithoutComments.match(new RegExp(`<Popconfirm[\\s\\S]*?</Popconfirm>`, 'i'));
+              if (popconfirmMatch) {
+                const popconfirmContent = popconfirmMatch[0];
+                const hasOnConfirm = new RegExp(`onConfirm[\\s\\S]*?${escapedHandlerName}`, 'i').test(popconfirmContent);
+                if (hasOnConfirm) {
+                  const loadingMatch = popconfirmContent.match(/loading\s*=\s*\{([^}]+)\}/i);
+                  if (loadingMatch) {
+                    const loadingValue = loadingMatch[1].trim();
+                    if (loadingValue === declareRequestInfo.loadingName) {
+                      foundDeclareRequestLoading = true;
+                      hasProtection = true;
+                      apiCallPath.stop();
+                      return;
+                    } else {
+                      usedWrongLoading = true;
+                    }
+                  } else {
+                    foundModalOrDrawerWithoutLoading = true;
+                  }
+                }
+              }
+              
+              // 检查 Form 是否使用了错误的loading
+              // 使用AST检查，避免匹配注释
+              const handlerNameForCheck = handler.name.replace(/['"()]/g, '').trim();
+              let formHasOnFinish = false;
+              let formButtonHasLoading = false;
+              let formButtonLoadingValue = null;
+              
+              if (ast) {
+                traverse(ast, {
+                  JSXOpeningElement(jsxPath) {
+                    const elementName = jsxPath.node.name;
+                    let componentName = '';
+                    
+                    if (t.isJSXIdentifier(elementName)) {
+                      componentName = elementName.name;
+                    } else if (t.isJSXMemberExpression(elementName)) {
+                      const object = elementName.object;
+                      const property = elementName.property;
+                      if (t.isJSXIdentifier(object) && t.isJSXIdentifier(property)) {
+                        componentName = `${object.name}.${property.name}`;
+                      }
+                    }
+                    
+                    // 检查Form组件
+                    if (componentName === 'Form') {
+                      const attributes = jsxPath.node.attributes || [];
+                      for (const attr of attributes) {
+                        if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name) && attr.name.name === 'onFinish') {
+                          if (attr.value && t.isJSXExpressionContainer(attr.value)) {
+                            const expr = attr.value.expression;
+                            if (t.isIdentifier(expr) && (expr.name === handlerNameForCheck || expr.name.includes(handlerNameForCheck) || handlerNameForCheck.includes(expr.name))) {
+                              formHasOnFinish = true;
+                            }
+                          }
+                        }
+                      }
+                    }
+                    
+                    // 检查Form内的Button组件
+                    if (componentName === 'Button') {
+                      // 检查这个Button是否在Form内（通过查找父节点）
+                      let parent = jsxPath.parentPath;
+                      let inForm = false;
+                      while (parent) {
+                        if (parent.isJSXOpeningElement()) {
+                          const parentName = parent.node.name;
+                          if (t.isJSXIdentifier(parentName) && parentName.name === 'Form') {
+                            inForm = true;
+                            break;
+                          }
+                        }
+                        parent = parent.parentPath;
+                      }
+                      
+                      if (inForm) {
+                        const attributes = jsxPath.node.attributes || [];
+                        for (const attr of attributes) {
+                          if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name) && attr.name.name === 'loading') {
+                            formButtonHasLoading = true;
+                            if (attr.value && t.isJSXExpressionContainer(attr.value)) {
+                              const expr = attr.value.expression;
+                              if (t.isIdentifier(expr)) {
+                                formButtonLoadingValue = expr.name;
+                              }
+                            }
+                            break;
+                          }
+                        }
+                      }
+                    }
+                  }
+                });
+              }
+              
+              // 如果AST检查没有找到，回退到正则匹配（但移除注释）
+              if (!formHasOnFinish) {
+                const formMatch = contentWithoutComments.match(new RegExp(`<Form[\\s\\S]*?</Form>`, 'i'));
+                if (formMatch) {
+                  const formContent = formMatch[0];
+                  formHasOnFinish = new RegExp(`onFinish[\\s\\S]*?${escapedHandlerName}`, 'i').test(formContent);
+                }
+              }
+              
+              if (!formButtonHasLoading && formHasOnFinish) {
+                const formMatch = contentWithoutComments.match(new RegExp(`<Form[\\s\\S]*?</Form>`, 'i'));
+                if (formMatch) {
+                  const formContent = formMatch[0];
+                  const submitButtonLoadingMatch = formContent.match(/<Button[\\s\\S]*?loading\s*=\s*\{([^}]+)\}/i);
+                  if (submitButtonLoadingMatch) {
+                    formButtonHasLoading = true;
+                    formButtonLoadingValue = submitButtonLoadingMatch[1].trim();
+                  }
+                }
+              }
+              
+              if (formHasOnFinish) {
+                if (formButtonHasLoading && formButtonLoadingValue === declareRequestInfo.loadingName) {
+                  foundDeclareRequestLoading = true;
+                  hasProtection = true;
+                  apiCallPath.stop();
+                  return;
+                } else if (formButtonHasLoading) {
+                  usedWrongLoading = true;
+                } else {
+                  foundModalOrDrawerWithoutLoading = true;
+                }
+              }
+              
+              // 检查 Button 是否使用了错误的loading（只要Button有loading属性即可，不关心位置）
+              const buttonLoadingMatch = templateWithoutComments.match(new RegExp(`<Button[\\s\\S]*?loading\\s*=\\s*\\{([^}]+)\\}`, 'i'));
+              
+              if (buttonLoadingMatch) {
+                const loadingValue = buttonLoadingMatch[1].trim();
+                if (loadingValue === declareRequestInfo.loadingName) {
+                  foundDeclareRequestLoading = true;
+                  hasProtection = true;
+                  apiCallPath.stop();
+                  return;
+                } else {
+                  usedWrongLoading = true;
+                }
+              }
+              
+              // 如果使用了错误的loading，标记为没有保护，但不返回，继续检查其他组件
+              // 如果找到了 Modal/Drawer/Popconfirm/Form 但没有 loading，也不返回，继续检查其他组件
+              // 这样可以检测到所有的问题
+              
+              // 检查 Button 是否绑定了 loading（如果上面的 Modal/Drawer/Popconfirm 检查都没有通过）
+              // 只要Button有loading属性，且值是正确的loading变量即可，不关心位置
+              const buttonLoadingPattern = new RegExp(`<Button[\\s\\S]*?loading=\\{[^}]*\\b${escapedLoadingName}\\b[^}]*\\}`, 'i');
+              
+              // 只有在没有使用错误的loading，且Modal/Drawer/Form有loading的情况下，才设置hasProtection
+              if (!usedWrongLoading && !foundModalOrDrawerWithoutLoading) {
+                if (buttonLoadingPattern.test(templateWithoutComments) || 
+                    checkDeclareRequestLoadingUsage(declareRequestInfo.loadingName, fullContent, templateContent)) {
+                  foundDeclareRequestLoading = true;
+                  hasProtection = true;
+                  apiCallPath.stop();
+                }
+              }
+            }
+          }
+        }
+      }
+      });
+  }
+
+  if (hasApiCall && !hasProtection) {
+    // 问题位置指向按钮（或 Modal / Form 等组件），找不到时指向处理函数
+    const location = handler.location || getNodeLocation(path.node);
+    
+    // 根据问题类型生成不同的错误消息
+    // 注意：definedButNotUsed、usedWrongLoading 和 correctLoadingName 应该在上面的 if (!hasProtection && hasApiCall) 块中已经设置
+    let type = 'missingProtection';
+    if (definedButNotUsed) {
+      type = 'loadingNotBound';
+    } else if (usedWrongLoading && correctLoadingName) {
+      type = 'wrongLoading';
+    } else if (shortDebounceDelay !== null) {
+      type = 'debounceDelay';
+    }
+
+    const data = { handler: funcName, loadingName: correctLoadingName, delay: shortDebounceDelay };
+    errors.push({
+      rule: meta.id,
+      type,
+      file: filePath,
+      ...location,
+      message: translate(`rule1.${type}.message`, data),
+      suggestion: translate(`rule1.${type}.suggestion`, data)
+    });
+  }
+}
+
+module.exports = { meta, check: checkRule1 };
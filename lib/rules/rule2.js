@@ -0,0 +1,350 @@
+/**
+ * 规则2：新增列表/详情页首次进入 loading 检查
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { ASTUtils, getMethodName } = require('../ast-utils');
+const { getNodeLocation } = require('../location');
+const {
+  getRequestMethods,
+  isApiCall,
+  getActionNameFromCall,
+  findDeclareRequestInfo,
+  findDeclareRequestLoading,
+  checkDeclareRequestLoadingUsage
+} = require('../request-utils');
+
+const meta = {
+  id: 'rule2',
+  name: '首次进入页面缺失 loading 状态',
+  englishName: 'Missing loading state on first load',
+  docs: {
+    description: '新增列表/详情页首次进入 loading 检查'
+  },
+  types: {
+    missingLoading: '首次进入调用接口但缺失 loading'
+  },
+  defaultOptions: {
+    enabled: true,
+    whitelist: {
+      paths: []
+    },
+    customKeywords: {
+      loadingMethods: ['showLoading', 'hideLoading', 'loading', 'setLoading']
+    }
+  },
+  schema: {
+    whitelist: {
+      type: 'object',
+      properties: {
+        paths: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    customKeywords: {
+      type: 'object',
+      properties: {
+        loadingMethods: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * 检查规则2：新增列表/详情页首次进入 loading 检查
+ */
+function checkRule2(context) {
+  const { filePath, parsed, changes, options, translate } = context;
+  const requestMethods = getRequestMethods(context.config);
+  const errors = [];
+  const { type, ast, template = '', content } = parsed;
+
+  // 检查是否是新增文件或新增了初始化逻辑
+  const isNewFile = changes.isNewFile;
+  const addedCode = changes.addedLines.map(added => added.content).join('\n');
+  const hasInitLogic = ['created', 'mounted', 'useEffect', 'componentDidMount'].some(keyword => addedCode.includes(keyword));
+
+  // 检查是否有useEffect（即使不是新增文件，只要有useEffect也检查）
+  // 使用AST检查，避免匹配注释和字符串
+  const hasUseEffectInContent = ASTUtils.hasMethodCall(ast, 'useEffect') || 
+                                 ASTUtils.hasKeyword(ast, content, 'useEffect');
+
+  if (!isNewFile && !hasInitLogic && !hasUseEffectInContent) {
+    return null;
+  }
+
+  // 检查是否是列表页或详情页（可选，如果不是列表页/详情页，只要有useEffect中的接口调用也检查）
+  // 使用AST检查，避免匹配注释和字符串
+  const isListPage = (template && (template.includes('el-table') || template.includes('<Table'))) ||
+                     ASTUtils.hasMethodCall(ast, '.map') ||
+                     ASTUtils.hasKeyword(ast, content, ['.map(', 'v-for']);
+  
+  const isDetailPage = ASTUtils.hasKeyword(ast, content, ['getDetail', 'fetchDetail', 'queryDetail', '详情']);
+
+  // 检查是否有useEffect
+  const hasUseEffect = ASTUtils.hasMethodCall(ast, 'useEffect') || ASTUtils.hasKeyword(ast, content, 'useEffect');
+
+  // 如果不是列表页/详情页，也没有useEffect，则跳过检查
+  if (!isListPage && !isDetailPage && !hasUseEffect) {
+    return null;
+  }
+
+  // 检查白名单
+  const whitelistPaths = options.whitelist.paths || [];
+  if (whitelistPaths.some(pattern => filePath.includes(pattern))) {
+    return null;
+  }
+
+  if (ast) {
+    let hasApiCallInEffect = false;
+    // 第一个首次进入时调用的接口，作为问题位置
+    let firstApiCall = null;
+    let hasLoading = false;
+    const loadingMethods = options.customKeywords.loadingMethods ||
+      ['showLoading', 'hideLoading', 'loading', 'setLoading'];
+
+    // 检查 useEffect 中的接口调用
+    // 先找到所有接口调用，然后检查它们是否在 useEffect 中
+    traverse(ast, {
+      CallExpression(callPath) {
+        // 检查是否是接口调用
+        if (!isApiCall(callPath, requestMethods)) {
+          return;
+        }
+
+        // 检查是否在 useEffect 的回调函数中
+        let currentPath = callPath;
+        let inUseEffect = false;
+        let parentFunc = null;
+
+        // 向上查找，看是否在 useEffect 的回调中
+        while (currentPath && currentPath.parentPath) {
+          // 检查是否是函数表达式或箭头函数
+          if (currentPath.parentPath.isArrowFunctionExpression() ||
+            currentPath.parentPath.isFunctionExpression()) {
+            parentFunc = currentPath.parentPath;
+            // 继续向上查找，看是否是 useEffect 的回调
+            let checkPath = currentPath.parentPath.parentPath;
+            while (checkPath) {
+              if (checkPath.isCallExpression() &&
+                t.isIdentifier(checkPath.node.callee) &&
+                checkPath.node.callee.name === 'useEffect') {
+                inUseEffect = true;
+                break;
+              }
+              checkPath = checkPath.parentPath;
+            }
+            break;
+          }
+          currentPath = currentPath.parentPath;
+        }
+
+        if (inUseEffect && parentFunc) {
+          hasApiCallInEffect = true;
+          firstApiCall = firstApiCall || callPath.node;
+
+          // 检查是否有 loading
+          const funcBody = parentFunc.node.body;
+          if (t.isBlockStatement(funcBody)) {
+            const statements = funcBody.body;
+
+            // 检查调用前是否有 showLoading
+            for (const stmt of statements) {
+              if (t.isExpressionStatement(stmt) && t.isCallExpression(stmt.expression)) {
+                const stmtMethod = getMethodName(stmt.expression.callee);
+                if (loadingMethods.some(m => stmtMethod.includes(m))) {
+                  hasLoading = true;
+                  break;
+                }
+              }
+            }
+
+            // 检查接口调用是否在 Promise 链中
+            currentPath = callPath;
+            while (currentPath && currentPath.parentPath) {
+              if (currentPath.parentPath.isMemberExpression()) {
+                const prop = currentPath.parentPath.node.property;
+                if (t.isIdentifier(prop) && (prop.name === 'then' || prop.name === 'catch' || prop.name === 'finally')) {
+                  const thenCall = currentPath.parentPath.parentPath;
+                  if (thenCall && thenCall.isCallExpression() && thenCall.node.arguments.length > 0) {
+                    const callback = thenCall.node.arguments[0];
+                    if (callback && (t.isArrowFunctionExpression(callback) || t.isFunctionExpression(callback))) {
+                      const callbackBody = callback.body;
+                      if (t.isBlockStatement(callbackBody)) {
+                        for (const stmt of callbackBody.body) {
+                          if (t.isExpressionStatement(stmt) && t.isCallExpression(stmt.expression)) {
+                            const stmtMethod = getMethodName(stmt.expression.callee);
+                            if (loadingMethods.some(m => stmtMethod.includes(m))) {
+                              hasLoading = true;
+                              break;
+                            }
+                          }
+                        }
+                      } else if (t.isCallExpression(callbackBody)) {
+                        const stmtMethod = getMethodName(callbackBody.callee);
+                        if (loadingMethods.some(m => stmtMethod.includes(m))) {
+                          hasLoading = true;
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+              currentPath = currentPath.parentPath;
+              if (hasLoading) break;
+            }
+          }
+          
+          // 检查是否使用了 useState 定义的 loading 变量并在 JSX 中使用
+          if (!hasLoading) {
+            // 查找接口调用在 useEffect 中的位置
+            const funcBody = parentFunc.node.body;
+            if (t.isBlockStatement(funcBody)) {
+              const statements = funcBody.body;
+              
+              // 找到接口调用在函数体中的位置
+              let callIndex = -1;
+              for (let i = 0; i < statements.length; i++) {
+                const stmt = statements[i];
+                // 检查是否是包含接口调用的语句
+                if (t.isExpressionStatement(stmt)) {
+                  if (t.isCallExpression(stmt.expression)) {
+                    // 检查是否是接口调用本身
+                    if (stmt.expression === callPath.node) {
+                      callIndex = i;
+                      break;
+                    }
+                    // 检查是否是链式调用，如 props.xxxAction().then()
+                    if (t.isMemberExpression(stmt.expression.callee)) {
+                      let checkExpr = stmt.expression.callee;
+                      while (checkExpr && t.isMemberExpression(checkExpr)) {
+                        if (checkExpr.object === callPath.node) {
+                          callIndex = i;
+                          break;
+                        }
+                        checkExpr = checkExpr.object;
+                      }
+                      if (callIndex >= 0) break;
+                    }
+                  }
+                }
+                // 检查是否是变量声明，初始值是接口调用
+                if (t.isVariableDeclaration(stmt)) {
+                  for (const declarator of stmt.declarations) {
+                    if (t.isCallExpression(declarator.init) && declarator.init === callPath.node) {
+                      callIndex = i;
+                      break;
+                    }
+                  }
+                  if (callIndex >= 0) break;
+                }
+              }
+              
+              // 如果找到了接口调用的位置，检查调用前是否有 setLoading(true) 等调用
+              if (callIndex >= 0) {
+                let loadingVarName = null;
+                // 检查接口调用前的语句
+                for (let i = 0; i < callIndex; i++) {
+                  const stmt = statements[i];
+                  if (t.isExpressionStatement(stmt) && t.isCallExpression(stmt.expression)) {
+                    const callee = stmt.expression.callee;
+                    const args = stmt.expression.arguments;
+                    if (t.isIdentifier(callee)) {
+                      const funcName = callee.name;
+                      const funcNameLower = funcName.toLowerCase();
+                      // 检查是否是 setLoading, setPageLoading 等函数，且设置为 true
+                      if ((funcNameLower.includes('setloading') || funcNameLower.includes('setsubmitting')) &&
+                          args.length > 0 && t.isBooleanLiteral(args[0]) && args[0].value === true) {
+                        // 从函数名中提取变量名：setPageLoading -> pageLoading, setLoading -> loading
+                        const extractedName = funcName.replace(/^set/i, '');
+                        // 首字母转为小写：PageLoading -> pageLoading
+                        loadingVarName = extractedName.charAt(0).toLowerCase() + extractedName.slice(1);
+                        break; // 找到接口调用前设置的loading，停止查找
+                      }
+                    }
+                  }
+                }
+                
+                // 如果找到了loading变量，检查是否在JSX中使用
+                if (loadingVarName) {
+                  const templateContent = template || content || '';
+                  const fullContent = content || '';
+                  const contentWithoutComments = fullContent
+                    .replace(/\/\*[\s\S]*?\*\//g, '')
+                    .replace(/\/\/.*$/gm, '');
+                  
+                  const escapedVarName = loadingVarName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                  // 同时检查首字母大写和小写的情况（pageLoading 和 PageLoading）
+                  const escapedVarNameUpper = loadingVarName.charAt(0).toUpperCase() + loadingVarName.slice(1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                  // 检查是否在JSX中使用（Spin、Table、Button等组件的loading属性）
+                  const loadingUsagePatterns = [
+                    new RegExp(`<Spin[^>]*spinning=\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`<Spin[^>]*spinning=\\{[^}]*\\b${escapedVarNameUpper}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`<Table[^>]*loading=\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`<Table[^>]*loading=\\{[^}]*\\b${escapedVarNameUpper}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`loading=\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`loading=\\{[^}]*\\b${escapedVarNameUpper}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`spinning=\\{[^}]*\\b${escapedVarName}\\b[^}]*\\}`, 'i'),
+                    new RegExp(`spinning=\\{[^}]*\\b${escapedVarNameUpper}\\b[^}]*\\}`, 'i')
+                  ];
+                  
+                  for (const pattern of loadingUsagePatterns) {
+                    if (pattern.test(contentWithoutComments)) {
+                      hasLoading = true;
+                      break;
+                    }
+                  }
+                }
+              }
+            }
+          }
+          
+          // 检查是否使用了 declareRequest 定义的 loading
+          if (!hasLoading) {
+            const actionName = getActionNameFromCall(callPath);
+            if (actionName) {
+              // 首先尝试查找第一个参数为 'loading' 的接口
+              const declareRequestInfo = findDeclareRequestLoading(actionName, filePath, ast, context.cwd, context.files);
+              if (declareRequestInfo && declareRequestInfo.loadingName) {
+                // 检查页面中是否使用了这个 loading
+                // 对于 JSX 文件，template 可能是 undefined，使用 content
+                // 规则2要求必须在 JSX 中实际使用（requireJSXUsage = true）
+                const templateContent = template || content || '';
+                if (checkDeclareRequestLoadingUsage(declareRequestInfo.loadingName, content, templateContent, true)) {
+                  hasLoading = true;
+                }
+              } else {
+                // 如果第一个参数不是 'loading'，查找接口定义（无论第一个参数是什么）
+                const declareRequestInfoAny = findDeclareRequestInfo(actionName, filePath, ast, context.cwd, context.files);
+                if (declareRequestInfoAny && declareRequestInfoAny.loadingName) {
+                  // 检查页面中是否使用了这个 loading（即使第一个参数不是 'loading'）
+                  // 对于 JSX 文件，template 可能是 undefined，使用 content
+                  // 规则2要求必须在 JSX 中实际使用（requireJSXUsage = true）
+                  const templateContent = template || content || '';
+                  if (checkDeclareRequestLoadingUsage(declareRequestInfoAny.loadingName, content, templateContent, true)) {
+                    hasLoading = true;
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (hasApiCallInEffect && !hasLoading) {
+      errors.push({
+        rule: meta.id,
+        type: 'missingLoading',
+        file: filePath,
+        ...getNodeLocation(firstApiCall),
+        message: translate('rule2.missingLoading.message', { page: translate(isListPage ? 'rule2.page.list' : 'rule2.page.detail') }),
+        suggestion: translate('rule2.missingLoading.suggestion')
+      });
+    }
+  }
+
+  return errors.length > 0 ? errors : null;
+}
+
+module.exports = { meta, check: checkRule2 };
@@ -0,0 +1,255 @@
+/**
+ * 规则3：接口操作成功后轻提示检查
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { getMethodName } = require('../ast-utils');
+const { getNodeLocation } = require('../location');
+const { getRequestMethods, isApiCall } = require('../request-utils');
+
+const meta = {
+  id: 'rule3',
+  name: '接口操作成功后缺失轻提示',
+  englishName: 'Missing success message after API operation',
+  docs: {
+    description: '接口操作成功后轻提示检查'
+  },
+  types: {
+    missingSuccessTip: '操作成功后缺失轻提示'
+  },
+  defaultOptions: {
+    enabled: true,
+    whitelist: {
+      paths: [],
+      keywords: ['batch', '批量']
+    },
+    customKeywords: {
+      successMethods: ['message.success', '$message.success', 'showSuccessTip', 'ElMessage.success', 'Message.success']
+    }
+  },
+  schema: {
+    whitelist: {
+      type: 'object',
+      properties: {
+        paths: { type: 'array', items: { type: 'string' } },
+        keywords: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    customKeywords: {
+      type: 'object',
+      properties: {
+        successMethods: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * 检查规则3：接口操作成功后轻提示检查
+ */
+function checkRule3(context) {
+  const { filePath, parsed, options, translate } = context;
+  const requestMethods = getRequestMethods(context.config);
+  const successMethods = options.customKeywords.successMethods ||
+    ['message.success', '$message.success', 'showSuccessTip', 'ElMessage.success', 'Message.success'];
+  const errors = [];
+  const { type, ast, content } = parsed;
+
+  if (!ast) return null;
+
+  // 检查是否有 POST/PUT 类型的接口调用
+  traverse(ast, {
+    CallExpression(callPath) {
+      // 首先检查是否是接口调用
+      if (!isApiCall(callPath, requestMethods)) {
+        return;
+      }
+
+      const callee = callPath.node.callee;
+      const methodName = getMethodName(callee);
+
+      // 检查是否是 POST/PUT 请求
+      // 排除常见的方法名误报（如 toString, includes, input, output 等）
+      const lowerMethodName = methodName.toLowerCase();
+      const excludePatterns = ['tostring', 'includes', 'input', 'output'];
+      const isExcludedMethod = excludePatterns.some(pattern =>
+        lowerMethodName === pattern ||
+        lowerMethodName.endsWith('.' + pattern) ||
+        lowerMethodName.includes('.' + pattern + '(')
+      );
+
+      // 如果方法名在排除列表中，跳过检查
+      if (isExcludedMethod) {
+        return;
+      }
+
+      const isPostPut =
+        // 检查 http.post(), http.put(), axios.post() 等（方法名以 .post/.put/.delete 结尾）
+        (methodName.toLowerCase().match(/\.(post|put|delete|patch)$/)) ||
+        // 检查 ajax.post(), ajax.put() 等
+        (methodName.includes('ajax.') && (
+          methodName.toLowerCase().includes('.post') ||
+          methodName.toLowerCase().includes('.put') ||
+          methodName.toLowerCase().includes('.delete')
+        )) ||
+        // 检查 props.dispatch 中的 type 是否包含操作关键词
+        (methodName.includes('dispatch') && callPath.node.arguments.some(arg => {
+          if (t.isObjectExpression(arg)) {
+            return arg.properties.some(prop => {
+              if (t.isObjectProperty(prop) && t.isIdentifier(prop.key) && prop.key.name === 'type') {
+                const value = prop.value;
+                if (t.isStringLiteral(value)) {
+                  const typeValue = value.value.toLowerCase();
+                  // 检查 type 中是否包含操作关键词
+                  return typeValue.includes('add') || typeValue.includes('create') ||
+                    typeValue.includes('update') || typeValue.includes('edit') ||
+                    typeValue.includes('delete') || typeValue.includes('remove') ||
+                    typeValue.includes('submit') || typeValue.includes('save');
+                }
+              }
+              return false;
+            });
+          }
+          return false;
+        })) ||
+        // 检查 Action 方法名是否包含操作关键词
+        (methodName.endsWith('Action') && (
+          methodName.toLowerCase().includes('add') ||
+          methodName.toLowerCase().includes('create') ||
+          methodName.toLowerCase().includes('update') ||
+          methodName.toLowerCase().includes('edit') ||
+          methodName.toLowerCase().includes('delete') ||
+          methodName.toLowerCase().includes('remove') ||
+          methodName.toLowerCase().includes('submit') ||
+          methodName.toLowerCase().includes('save') ||
+          methodName.toLowerCase().includes('copy') ||
+          methodName.toLowerCase().includes('post') ||
+          methodName.toLowerCase().includes('put') ||
+          // 只检查明确的 HTTP 方法名，避免误报（如 output.toString）
+          methodName.toLowerCase().match(/\.(post|put)$/) ||
+          methodName.toLowerCase().match(/^(post|put)/)
+        )) ||
+        // 检查 axios({ method: 'POST' }) 或 axios({ method: 'PUT' })
+        (methodName.includes('axios') && callPath.node.arguments.some(arg => {
+          if (t.isObjectExpression(arg)) {
+            return arg.properties.some(prop => {
+              if (t.isObjectProperty(prop) && t.isIdentifier(prop.key) &&
+                (prop.key.name === 'method' || prop.key.name === 'type')) {
+                const value = prop.value;
+                if (t.isStringLiteral(value)) {
+                  return value.value.toUpperCase() === 'POST' ||
+                    value.value.toUpperCase() === 'PUT' ||
+                    value.value.toUpperCase() === 'DELETE';
+                }
+              }
+              return false;
+            });
+          }
+          return false;
+        }));
+
+      if (isPostPut) {
+        // 检查操作关键词
+        const parentFunc = callPath.findParent(p => p.isFunction());
+        const funcName = parentFunc && parentFunc.node.id ? parentFunc.node.id.name : '';
+        const hasOperationKeyword = ['add', 'create', 'delete', 'remove', 'edit', 'update', 'batch']
+          .some(keyword => funcName.toLowerCase().includes(keyword));
+
+        // 检查白名单
+        const whitelistKeywords = options.whitelist.keywords || [];
+        if (whitelistKeywords.some(keyword => funcName.includes(keyword))) {
+          return;
+        }
+
+        if (hasOperationKeyword || isPostPut) {
+          // 检查成功回调中是否有轻提示
+          let hasSuccessTip = false;
+
+          // 检查 .then() 回调
+          const memberExpr = callPath.findParent(p => p.isMemberExpression());
+          if (memberExpr && memberExpr.parentPath && t.isCallExpression(memberExpr.parentPath.node)) {
+            const thenCall = memberExpr.parentPath.node;
+            if (t.isIdentifier(memberExpr.node.property) && memberExpr.node.property.name === 'then') {
+              const successCallback = thenCall.arguments[0];
+              if (successCallback) {
+                hasSuccessTip = checkForSuccessTip(successCallback, successMethods);
+              }
+            }
+          }
+
+          // 检查 async/await 后的代码
+          if (!hasSuccessTip && parentFunc && parentFunc.node.async) {
+            const funcBody = parentFunc.node.body;
+            if (t.isBlockStatement(funcBody)) {
+              const callIndex = funcBody.body.findIndex(s =>
+                s === callPath.node || (t.isExpressionStatement(s) && s.expression === callPath.node)
+              );
+
+              // 检查调用后的语句
+              for (let i = callIndex + 1; i < funcBody.body.length; i++) {
+                const stmt = funcBody.body[i];
+                if (checkStatementForSuccessTip(stmt, successMethods)) {
+                  hasSuccessTip = true;
+                  break;
+                }
+              }
+            }
+          }
+
+          if (!hasSuccessTip) {
+            errors.push({
+              rule: meta.id,
+              type: 'missingSuccessTip',
+              file: filePath,
+              ...getNodeLocation(callPath.node),
+              message: translate('rule3.missingSuccessTip.message', {
+                method: methodName.includes('post') || methodName.includes('POST') ? 'POST' : 'PUT',
+                operation: translate(hasOperationKeyword ? 'rule3.operation.business' : 'rule3.operation.data')
+              }),
+              suggestion: translate('rule3.missingSuccessTip.suggestion')
+            });
+          }
+        }
+      }
+    }
+  });
+
+  return errors.length > 0 ? errors : null;
+}
+
+/**
+ * 检查回调函数中是否有成功提示
+ */
+function checkForSuccessTip(callback, successMethods) {
+  if (t.isArrowFunctionExpression(callback) || t.isFunctionExpression(callback)) {
+    const body = callback.body;
+    if (t.isBlockStatement(body)) {
+      for (const stmt of body.body) {
+        if (checkStatementForSuccessTip(stmt, successMethods)) {
+          return true;
+        }
+      }
+    } else if (t.isCallExpression(body)) {
+      return checkStatementForSuccessTip(t.expressionStatement(body), successMethods);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * 检查语句中是否有成功提示
+ */
+function checkStatementForSuccessTip(stmt, successMethods) {
+  if (t.isExpressionStatement(stmt) && t.isCallExpression(stmt.expression)) {
+    const methodName = getMethodName(stmt.expression.callee);
+    if (successMethods.some(m => methodName.includes(m))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+module.exports = { meta, check: checkRule3 };
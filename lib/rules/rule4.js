@@ -0,0 +1,163 @@
+/**
+ * 规则4：非 Table 组件列表空状态自定义检查
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { ASTUtils } = require('../ast-utils');
+const { getNodeLocation, getOffsetLocation } = require('../location');
+
+const meta = {
+  id: 'rule4',
+  name: '非 Table 列表缺失自定义空状态',
+  englishName: 'Missing custom empty state for non-Table list',
+  docs: {
+    description: '非 Table 组件列表空状态自定义检查'
+  },
+  types: {
+    missingEmptyState: '列表缺失自定义空状态'
+  },
+  defaultOptions: {
+    enabled: true,
+    whitelist: {
+      keywords: []
+    },
+    customKeywords: {
+      emptyComponents: ['Empty', 'NoData', 'EmptyTip']
+    }
+  },
+  schema: {
+    whitelist: {
+      type: 'object',
+      properties: {
+        keywords: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    customKeywords: {
+      type: 'object',
+      properties: {
+        emptyComponents: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * 查找列表渲染的位置：优先取模板中第一个带 v-for 的标签，其次取代码中第一个 .map / .forEach / for 循环
+ */
+function findListLocation(ast, content) {
+  const vForMatch = /\bv-for\s*=/.exec(content);
+  if (vForMatch) {
+    const tagStart = content.lastIndexOf('<', vForMatch.index);
+    const tagEnd = content.indexOf('>', vForMatch.index);
+    return getOffsetLocation(content, tagStart === -1 ? vForMatch.index : tagStart, tagEnd === -1 ? vForMatch.index : tagEnd + 1);
+  }
+
+  let listNode = null;
+  if (ast) {
+    traverse(ast, {
+      CallExpression(path) {
+        const callee = path.node.callee;
+        if (t.isMemberExpression(callee) && t.isIdentifier(callee.property) &&
+            ['map', 'forEach'].includes(callee.property.name)) {
+          listNode = path.node;
+          path.stop();
+        }
+      },
+      ForStatement(path) {
+        listNode = path.node;
+        path.stop();
+      }
+    });
+  }
+  if (listNode) {
+    return getNodeLocation(listNode);
+  }
+
+  const keywordMatch = /\.map\(|forEach|for \(/.exec(content);
+  return keywordMatch
+    ? getOffsetLocation(content, keywordMatch.index, keywordMatch.index + keywordMatch[0].length)
+    : { line: ast?.loc?.start.line || 1 };
+}
+
+/**
+ * 检查规则4：非 Table 组件列表空状态自定义检查
+ */
+function checkRule4(context) {
+  const { filePath, parsed, options, translate } = context;
+  const errors = [];
+  const { type, ast, template = '', content } = parsed;
+
+  // 检查是否使用了 Table 组件
+  const hasTableComponent = (template && (template.includes('el-table') || template.includes('<Table'))) ||
+    content.includes('ElTable') || content.includes('Table') ||
+    (content.includes('antd') && content.includes('Table'));
+
+  if (hasTableComponent) {
+    return null; // 使用了 Table 组件，跳过检查
+  }
+
+  // 检查是否有列表渲染
+  const hasListRender = (template && template.includes('v-for')) || content.includes('.map(') ||
+    content.includes('forEach') || content.includes('for (');
+
+  if (!hasListRender) {
+    return null;
+  }
+
+  // 检查白名单
+  const whitelistKeywords = options.whitelist.keywords || [];
+  if (whitelistKeywords.some(keyword => content.includes(keyword))) {
+    return null;
+  }
+
+  // 检查是否有空状态处理
+  // 使用AST检查，避免匹配注释和字符串
+  const emptyComponents = options.customKeywords.emptyComponents || ['Empty', 'NoData', 'EmptyTip'];
+  
+  let hasEmptyState = false;
+  
+  // 检查模板中的空状态文本
+  if (template) {
+    const cleanTemplate = ASTUtils.removeCommentsAndStrings(template);
+    hasEmptyState = cleanTemplate.includes('暂无数据') || 
+                    cleanTemplate.includes('暂无') ||
+                    cleanTemplate.includes('v-if="!') ||
+                    cleanTemplate.includes('v-if="list.length === 0');
+  }
+  
+  // 检查代码中的空状态
+  if (!hasEmptyState) {
+    // 检查空状态文本
+    hasEmptyState = ASTUtils.hasKeyword(ast, content, ['暂无数据', '暂无']);
+    
+    // 检查空状态组件
+    if (!hasEmptyState && ast) {
+      emptyComponents.forEach(comp => {
+        if (ASTUtils.hasJSXComponent(ast, comp)) {
+          hasEmptyState = true;
+        }
+      });
+    }
+    
+    // 检查长度判断
+    if (!hasEmptyState) {
+      hasEmptyState = ASTUtils.hasKeyword(ast, content, ['length === 0', 'length == 0', '!list', 'list.length === 0']);
+    }
+  }
+
+  if (!hasEmptyState) {
+    errors.push({
+      rule: meta.id,
+      type: 'missingEmptyState',
+      file: filePath,
+      ...findListLocation(ast, content),
+      message: translate('rule4.missingEmptyState.message'),
+      suggestion: translate('rule4.missingEmptyState.suggestion')
+    });
+  }
+
+  return errors.length > 0 ? errors : null;
+}
+
+module.exports = { meta, check: checkRule4 };
@@ -0,0 +1,310 @@
+/**
+ * 规则5：表单输入项默认提示检查
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { getNodeLocation, getOffsetLocation } = require('../location');
+
+const meta = {
+  id: 'rule5',
+  name: '表单输入项缺失 placeholder 提示',
+  englishName: 'Missing placeholder on form input',
+  docs: {
+    description: '表单输入项默认提示检查'
+  },
+  types: {
+    missingPlaceholder: '输入组件缺失 placeholder'
+  },
+  defaultOptions: {
+    enabled: true,
+    whitelist: {
+      keywords: []
+    },
+    customKeywords: {
+      inputComponents: [
+        // Ant Design
+        'Input', 'Input.TextArea', 'Input.Password', 'Input.Search', 'Input.Group',
+        'Select', 'DatePicker', 'RangePicker', 'TimePicker', 'InputNumber',
+        'AutoComplete', 'Cascader', 'TreeSelect', 'Transfer', 'Upload', 'Rate',
+        // Element UI
+        'el-input', 'el-select', 'el-date-picker', 'el-time-picker',
+        'el-input-number', 'el-autocomplete', 'el-cascader', 'el-tree-select',
+        'el-transfer', 'el-upload', 'el-rate',
+        // 原生 HTML
+        'input', 'select', 'textarea'
+      ],
+      placeholderAttributes: ['placeholder', 'placeholderText']
+    }
+  },
+  schema: {
+    whitelist: {
+      type: 'object',
+      properties: {
+        keywords: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    customKeywords: {
+      type: 'object',
+      properties: {
+        inputComponents: { type: 'array', items: { type: 'string' } },
+        placeholderAttributes: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * 检查规则5：表单输入项默认提示检查
+ */
+function checkRule5(context) {
+  const { filePath, parsed, changes, options, translate } = context;
+  const errors = [];
+  const { type, ast, template = '', content } = parsed;
+
+  // 获取配置
+  const inputComponents = options.customKeywords.inputComponents || [
+    'Input', 'Input.TextArea', 'Input.Password', 'Input.Search', 'Input.Group',
+    'Select', 'DatePicker', 'RangePicker', 'TimePicker', 'InputNumber',
+    'AutoComplete', 'Cascader', 'TreeSelect', 'Transfer', 'Upload', 'Rate',
+    'el-input', 'el-select', 'el-date-picker', 'el-time-picker',
+    'el-input-number', 'el-autocomplete', 'el-cascader', 'el-tree-select',
+    'el-transfer', 'el-upload', 'el-rate',
+    'input', 'select', 'textarea'
+  ];
+
+  // 检查是否是新增文件或新增了表单输入组件（与下方 Vue/HTML 的匹配一致，不区分大小写）
+  const isNewFile = changes.isNewFile;
+  const addedCode = changes.addedLines.map(added => added.content).join('\n').toLowerCase();
+  const hasNewInput = inputComponents.some(component => addedCode.includes(`<${component.toLowerCase()}`));
+
+  // 如果既不是新文件，也没有新增输入组件，则跳过检查
+  if (!isNewFile && !hasNewInput) {
+    return null;
+  }
+
+  const placeholderAttributes = options.customKeywords.placeholderAttributes || ['placeholder', 'placeholderText'];
+  const whitelistKeywords = options.whitelist.keywords || [];
+
+  // 对于 JSX/TSX 文件，使用 AST 进行更精确的检查
+  if (ast && (type === 'js' || type === 'jsx' || type === 'ts' || type === 'tsx')) {
+    traverse(ast, {
+      JSXOpeningElement(path) {
+        const elementName = path.node.name;
+        let componentName = '';
+
+        // 获取组件名
+        if (t.isJSXIdentifier(elementName)) {
+          componentName = elementName.name;
+        } else if (t.isJSXMemberExpression(elementName)) {
+          // 处理 Input.TextArea 这种情况
+          const object = elementName.object;
+          const property = elementName.property;
+          if (t.isJSXIdentifier(object) && t.isJSXIdentifier(property)) {
+            componentName = `${object.name}.${property.name}`;
+          }
+        }
+
+        // 排除常见的子组件，这些组件不需要placeholder
+        // 注意：Input.TextArea, Input.Password, Input.Search 等是真正的输入组件，需要placeholder，不应该排除
+        // 只有容器组件、选项组件等子组件才需要排除
+        const excludedSubComponents = [
+          // Select 相关子组件
+          'Select.Option', 'Select.OptGroup',
+          // Input 容器组件（Input.Group 是容器，不需要placeholder）
+          // 注意：Input.TextArea, Input.Password, Input.Search 不在排除列表中，因为它们需要placeholder
+          'Input.Group',
+          // Cascader 相关子组件
+          'Cascader.Option',
+          // TreeSelect 相关子组件
+          'TreeSelect.TreeNode',
+          // Form 相关子组件
+          'Form.Item', 'Form.List', 'Form.Provider',
+          // Upload 相关子组件
+          'Upload.Dragger', 'Upload.Button',
+          // Transfer 相关子组件
+          'Transfer.List', 'Transfer.Search',
+          // Table 相关子组件（虽然不在inputComponents中，但以防万一）
+          'Table.Column', 'Table.ColumnGroup',
+          // Radio 相关子组件
+          'Radio.Group', 'Radio.Button',
+          // Checkbox 相关子组件
+          'Checkbox.Group',
+          // Menu 相关子组件
+          'Menu.Item', 'Menu.SubMenu', 'Menu.ItemGroup',
+          // Dropdown 相关子组件
+          'Dropdown.Button',
+          // Steps 相关子组件
+          'Steps.Step',
+          // Tabs 相关子组件
+          'Tabs.TabPane', 'Tabs.Tab',
+          // Collapse 相关子组件
+          'Collapse.Panel',
+          // Timeline 相关子组件
+          'Timeline.Item',
+          // Breadcrumb 相关子组件
+          'Breadcrumb.Item', 'Breadcrumb.Separator',
+          // Anchor 相关子组件
+          'Anchor.Link',
+          // Pagination 相关子组件
+          'Pagination.Item',
+          // Rate 相关子组件
+          'Rate.Character',
+          // Slider 相关子组件
+          'Slider.Marks', 'Slider.Mark',
+          // DatePicker 和 TimePicker 的 RangePicker 是独立的输入组件，需要placeholder，不在排除列表中
+        ];
+        if (excludedSubComponents.includes(componentName)) {
+          return; // 跳过子组件检查
+        }
+
+        // 检查是否是配置的输入组件
+        const isInputComponent = inputComponents.some(comp => {
+          if (comp.includes('.')) {
+            // 对于带点的组件（如 Input.TextArea），必须精确匹配
+            return comp === componentName;
+          } else {
+            // 对于不带点的组件（如 Select, Input），只检查最上层组件
+            // 如果 componentName 包含点（如 Select.Option），需要进一步判断
+            if (componentName.includes('.')) {
+              // 检查是否是配置中明确允许的带点组件（如 Input.TextArea, Input.Password, Input.Search）
+              const isExplicitlyAllowed = inputComponents.some(c => c.includes('.') && c === componentName);
+              if (isExplicitlyAllowed) {
+                return true; // 是配置中允许的带点输入组件，需要检查placeholder
+              }
+              return false; // 其他带点的都是子组件，不匹配
+            }
+            return comp === componentName || componentName.startsWith(comp);
+          }
+        });
+
+        if (!isInputComponent) {
+          return;
+        }
+
+        // 检查白名单
+        const attributes = path.node.attributes || [];
+        const hasWhitelistKeyword = attributes.some(attr => {
+          if (t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name)) {
+            const attrValue = attr.value;
+            if (t.isStringLiteral(attrValue)) {
+              return whitelistKeywords.some(keyword => attrValue.value.includes(keyword));
+            }
+          }
+          return false;
+        });
+
+        if (hasWhitelistKeyword) {
+          return;
+        }
+
+        // 检查是否有 placeholder 属性
+        let hasPlaceholder = false;
+        for (const attr of placeholderAttributes) {
+          const hasAttr = attributes.some(attrNode => {
+            if (t.isJSXAttribute(attrNode) && t.isJSXIdentifier(attrNode.name)) {
+              return attrNode.name.name === attr || attrNode.name.name.toLowerCase() === attr.toLowerCase();
+            }
+            return false;
+          });
+          if (hasAttr) {
+            hasPlaceholder = true;
+            break;
+          }
+        }
+
+        // 如果没有 placeholder，检查是否是新增的
+        if (!hasPlaceholder) {
+          const location = getNodeLocation(path.node);
+
+          // 检查是否是新增的（组件所在行位于新增行范围内）
+          const isNewlyAdded = changes.isLineAdded(location.line);
+
+          if (isNewlyAdded) {
+            errors.push({
+              rule: meta.id,
+              type: 'missingPlaceholder',
+              file: filePath,
+              ...location,
+              message: translate('rule5.missingPlaceholder.message', { component: componentName }),
+              suggestion: translate('rule5.missingPlaceholder.suggestion', { component: componentName })
+            });
+          }
+        }
+      }
+    });
+  } else {
+    // 对于 Vue 和 HTML 文件，使用正则表达式检查
+    // Vue 文件的 content 已包含 template，只检查 content，保证行号与文件一致
+    const fullContent = content || template || '';
+
+    // 将注释替换为空格，避免匹配到注释中的代码（保留换行和长度，保证行号、列号不偏移）
+    const contentWithoutComments = fullContent
+      .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' ')) // 移除 /* */ 注释
+      .replace(/\/\/.*$/gm, comment => ' '.repeat(comment.length)); // 移除 // 注释
+
+    // 检查每个输入组件
+    for (const componentName of inputComponents) {
+      // 构建匹配模式
+      let componentPattern;
+      if (componentName.includes('.')) {
+        // 处理 Input.TextArea 这种形式
+        const parts = componentName.split('.');
+        componentPattern = new RegExp(`<${parts[0]}[^>]*\\.${parts[1]}[^>]*>`, 'gi');
+      } else {
+        // 处理普通组件名
+        componentPattern = new RegExp(`<${componentName}[^>]*>`, 'gi');
+      }
+
+      // 查找所有匹配的组件
+      let match;
+      while ((match = componentPattern.exec(contentWithoutComments)) !== null) {
+        const componentTag = match[0];
+        const matchIndex = match.index;
+
+        // 检查是否在白名单中
+        if (whitelistKeywords.some(keyword => componentTag.includes(keyword))) {
+          continue;
+        }
+
+        // 检查是否有 placeholder 属性
+        let hasPlaceholder = false;
+        for (const attr of placeholderAttributes) {
+          // 检查 JSX 格式：placeholder="..." 或 placeholder={...}
+          const jsxPattern = new RegExp(`${attr}\\s*=\\s*["'{]`, 'i');
+          // 检查 Vue 格式：:placeholder="..." 或 placeholder="..." 或 v-bind:placeholder="..."
+          const vuePattern = new RegExp(`[:]?${attr}\\s*=\\s*["'{]|v-bind:${attr}\\s*=\\s*["'{]`, 'i');
+          
+          if (jsxPattern.test(componentTag) || vuePattern.test(componentTag)) {
+            hasPlaceholder = true;
+            break;
+          }
+        }
+
+        // 如果没有 placeholder，记录错误
+        if (!hasPlaceholder) {
+          const location = getOffsetLocation(contentWithoutComments, matchIndex, matchIndex + componentTag.length);
+
+          // 检查是否是新增的（组件所在行位于新增行范围内）
+          const isNewlyAdded = changes.isLineAdded(location.line);
+
+          // 只检查新增的组件
+          if (isNewlyAdded) {
+            errors.push({
+              rule: meta.id,
+              type: 'missingPlaceholder',
+              file: filePath,
+              ...location,
+              message: translate('rule5.missingPlaceholder.message', { component: componentName }),
+              suggestion: translate('rule5.missingPlaceholder.suggestion', { component: componentName })
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return errors.length > 0 ? errors : null;
+}
+
+module.exports = { meta, check: checkRule5 };
@@ -0,0 +1,185 @@
+/**
+ * 行内禁用注释
+ *
+ * 支持的写法（规则列表可省略，表示所有规则，多个规则用逗号分隔；禁用注释必须在 -- 后填写原因）：
+ * - // pre-commit-check-disable-next-line rule3 -- 原因
+ * - // pre-commit-check-disable-line rule3 -- 原因
+ * - /* pre-commit-check-disable rule4 -- 原因 *\/ ... /* pre-commit-check-enable rule4 *\/
+ * - <!-- pre-commit-check-disable rule4 -- 原因 --> ... <!-- pre-commit-check-enable rule4 -->（Vue 模板 / HTML）
+ * - <!-- pre-commit-check-disable-next-line rule5 -- 原因 -->
+ *
+ * 未填写原因的禁用注释不生效，并作为 suppression 问题报告；
+ * 没有匹配到任何问题的禁用注释按 global.suppressions.reportUnused 的级别报告
+ */
+
+const { getOffsetLocation } = require('./location');
+
+const SUPPRESSION_RULE_ID = 'suppression';
+
+const suppressionMeta = {
+  id: SUPPRESSION_RULE_ID,
+  name: '禁用注释使用不当',
+  englishName: 'Invalid suppression comment',
+  docs: {
+    description: '行内禁用注释必须填写原因，且应在问题修复后及时删除'
+  },
+  types: {
+    missingReason: '禁用注释未填写原因',
+    unused: '禁用注释没有匹配到任何问题'
+  }
+};
+
+const COMMENT_PATTERNS = [
+  /\/\/[ \t]*pre-commit-check-(disable-next-line|disable-line|disable|enable)\b([^\n]*)/g,
+  /\/\*\s*pre-commit-check-(disable-next-line|disable-line|disable|enable)\b([\s\S]*?)\*\//g,
+  /<!--\s*pre-commit-check-(disable-next-line|disable-line|disable|enable)\b([\s\S]*?)-->/g
+];
+
+/**
+ * 解析注释内容：规则列表与原因
+ */
+function parseDirectiveBody(body) {
+  const separatorIndex = body.indexOf('--');
+  const rulesText = separatorIndex === -1 ? body : body.slice(0, separatorIndex);
+  const reason = separatorIndex === -1 ? '' : body.slice(separatorIndex + 2).trim();
+
+  return {
+    rules: rulesText.split(/[\s,]+/).filter(Boolean),
+    reason
+  };
+}
+
+/**
+ * 从文件内容中解析所有禁用注释
+ *
+ * @returns {Array<{ kind: string, rules: string[], reason: string, line: number, location: object, start: number, end: number, used: boolean }>}
+ *   location 为注释本身的位置，start/end 为注释生效的行范围（闭区间）
+ */
+function parseSuppressions(content) {
+  const comments = [];
+
+  for (const pattern of COMMENT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      comments.push({
+        kind: match[1],
+        ...parseDirectiveBody(match[2]),
+        location: getOffsetLocation(content, match.index, match.index + match[0].length)
+      });
+    }
+  }
+
+  comments.sort((a, b) => a.location.line - b.location.line);
+
+  const totalLines = content.split('\n').length;
+  const directives = [];
+  const openBlocks = [];
+
+  for (const comment of comments) {
+    const { kind, rules, reason, location } = comment;
+    const { line, endLine } = location;
+
+    if (kind === 'enable') {
+      // enable 关闭规则列表被其覆盖的 disable 区块；不写规则时关闭所有区块
+      for (let i = openBlocks.length - 1; i >= 0; i--) {
+        const block = openBlocks[i];
+        const covered = rules.length === 0 ||
+          (block.rules.length > 0 && block.rules.every(rule => rules.includes(rule)));
+        if (covered) {
+          block.end = line;
+          openBlocks.splice(i, 1);
+        }
+      }
+      continue;
+    }
+
+    const directive = { kind, rules, reason, line, location, start: line, end: line, used: false };
+    if (kind === 'disable-next-line') {
+      directive.start = endLine + 1;
+      directive.end = endLine + 1;
+    } else if (kind === 'disable') {
+      directive.end = totalLines;
+      if (reason) openBlocks.push(directive);
+    }
+    directives.push(directive);
+  }
+
+  return directives;
+}
+
+/**
+ * 将禁用注释应用到单个文件的检查结果上
+ *
+ * @param {object[]} findings - 该文件的检查结果
+ * @param {string} content - 文件内容
+ * @param {object} options
+ * @param {string} options.file - 文件路径
+ * @param {'error'|'warn'|'off'} [options.reportUnused='warn'] - 未使用的禁用注释的报告级别
+ * @param {(id: string, data?: object) => string} options.translate - 翻译函数，见 lib/i18n.js
+ * @returns {{ findings: object[], suppressed: object[] }} 保留的问题（含禁用注释本身的问题）与被禁用的问题
+ */
+function applySuppressions(findings, content, options) {
+  const { file, reportUnused = 'warn', translate } = options;
+  const directives = parseSuppressions(content);
+
+  if (directives.length === 0) {
+    return { findings, suppressed: [] };
+  }
+
+  const remaining = [];
+  const suppressed = [];
+
+  for (const finding of findings) {
+    const directive = directives.find(item =>
+      item.reason &&
+      finding.line >= item.start &&
+      finding.line <= item.end &&
+      (item.rules.length === 0 || item.rules.includes(finding.rule))
+    );
+
+    if (directive) {
+      directive.used = true;
+      suppressed.push({ ...finding, suppression: { kind: directive.kind, line: directive.line, reason: directive.reason } });
+    } else {
+      remaining.push(finding);
+    }
+  }
+
+  for (const directive of directives) {
+    const name = `pre-commit-check-${directive.kind}`;
+    const target = directive.rules.length > 0 ? directive.rules.join(', ') : translate('suppression.allRules');
+    const example = [name, ...directive.rules.length > 0 ? [directive.rules.join(', ')] : [], `-- ${translate('suppression.reason')}`].join(' ');
+
+    if (!directive.reason) {
+      remaining.push({
+        rule: SUPPRESSION_RULE_ID,
+        type: 'missingReason',
+        file,
+        ...directive.location,
+        message: translate('suppression.missingReason.message', { directive: name, target }),
+        suggestion: translate('suppression.missingReason.suggestion', { example }),
+        severity: 'error'
+      });
+    } else if (!directive.used && reportUnused !== 'off') {
+      remaining.push({
+        rule: SUPPRESSION_RULE_ID,
+        type: 'unused',
+        file,
+        ...directive.location,
+        message: translate('suppression.unused.message', { directive: name, target }),
+        suggestion: translate('suppression.unused.suggestion'),
+        severity: reportUnused
+      });
+    }
+  }
+
+  return { findings: remaining, suppressed };
+}
+
+module.exports = {
+  SUPPRESSION_RULE_ID,
+  suppressionMeta,
+  parseSuppressions,
+  applySuppressions
+};
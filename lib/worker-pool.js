@@ -0,0 +1,101 @@
+/**
+ * worker 线程池
+ *
+ * 将文件分配给多个 worker 线程并行检查，结果按任务顺序返回，保证输出顺序与单线程一致
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// 每个 worker 至少分配的文件数，文件较少时启动线程的开销大于并行带来的收益
+const MIN_TASKS_PER_WORKER = 5;
+
+/**
+ * 获取线程池大小：配置值或 CPU 核数
+ */
+function getPoolSize(workers) {
+  if (Number.isInteger(workers) && workers > 0) {
+    return workers;
+  }
+  return Math.max(1, os.cpus().length);
+}
+
+/**
+ * 根据线程池大小和任务数计算实际需要启动的 worker 数量
+ */
+function getWorkerCount(poolSize, taskCount) {
+  return Math.min(poolSize, Math.ceil(taskCount / MIN_TASKS_PER_WORKER));
+}
+
+/**
+ * 在 worker 线程池中执行任务
+ *
+ * @param {object[]} tasks - 任务列表
+ * @param {{ workerCount: number, workerData: object, t: Function }} options - t 为翻译函数，用于错误提示
+ * @returns {Promise<object[]>} 与 tasks 顺序一致的结果
+ */
+function runInPool(tasks, { workerCount, workerData, t }) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(tasks.length);
+    const workers = [];
+    let nextIndex = 0;
+    let completed = 0;
+    let settled = false;
+
+    const finish = error => {
+      if (settled) return;
+      settled = true;
+      workers.forEach(worker => worker.terminate());
+      if (error) {
+        reject(error);
+      } else {
+        resolve(results);
+      }
+    };
+
+    const dispatch = worker => {
+      if (nextIndex < tasks.length) {
+        const index = nextIndex++;
+        worker.postMessage({ index, task: tasks[index] });
+      }
+    };
+
+    for (let i = 0; i < workerCount; i++) {
+      let worker;
+      try {
+        worker = new Worker(path.join(__dirname, 'check-worker.js'), { workerData });
+      } catch (e) {
+        // workerData 无法序列化（如配置中包含函数）等情况
+        finish(e);
+        return;
+      }
+
+      workers.push(worker);
+      worker.on('message', ({ index, result, error }) => {
+        if (error) {
+          // 保留错误名称，调用方据此区分 DataCloneError
+          finish(Object.assign(new Error(error.message), { name: error.name }));
+          return;
+        }
+        results[index] = result;
+        completed++;
+        if (completed === tasks.length) {
+          finish();
+        } else {
+          dispatch(worker);
+        }
+      });
+      worker.on('error', finish);
+      worker.on('exit', code => {
+        if (code !== 0) {
+          finish(new Error(t('core.workerExited', { code })));
+        }
+      });
+
+      dispatch(worker);
+    }
+  });
+}
+
+module.exports = { getPoolSize, getWorkerCount, runInPool };
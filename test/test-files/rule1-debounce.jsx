@@ -0,0 +1,34 @@
+import React from 'react';
+import { Button } from 'antd';
+import { debounce, throttle } from 'lodash';
+
+export default function DebounceDemo() {
+  // 内层节流延迟不足，外层防抖 800ms 足以防止重复提交
+  const handleNested = () => {
+    debounce(throttle(() => {
+      request('/api/nested');
+    }, 200), 800)();
+  };
+
+  // 内层防抖 800ms，外层节流延迟不足
+  const handleOuterShort = () => {
+    throttle(debounce(() => {
+      request('/api/outer');
+    }, 800), 200)();
+  };
+
+  // 每一层的延迟都不足 500ms，以最内层的延迟提示
+  const handleShort = () => {
+    debounce(throttle(() => {
+      request('/api/short');
+    }, 200), 300)();
+  };
+
+  return (
+    <div>
+      <Button onClick={handleNested}>嵌套防抖</Button>
+      <Button onClick={handleOuterShort}>外层节流</Button>
+      <Button onClick={handleShort}>延迟不足</Button>
+    </div>
+  );
+}
@@ -6,7 +6,13 @@
  * 简单的测试脚本，用于验证核心功能是否正常
  */
 
-const { runChecks } = require('../commit-check-core.js');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { lint, runChecks } = require('../commit-check-core.js');
+const { getCodeFrame } = require('../lib/code-frame.js');
+const { groupFindings } = require('../lib/console-output.js');
 const chalk = require('chalk');
 
 console.log(chalk.blue('🧪 运行测试...\n'));
@@ -14,7 +20,7 @@ console.log(chalk.blue('🧪 运行测试...\n'));
 // 由于测试需要 Git 暂存区，这里只做基本的功能测试
 // 实际测试应该通过 git commit 触发
 
-try {
+async function main() {
   // 测试配置文件加载
   const config = require('../commit-check.config.js');
   
@@ -25,12 +31,696 @@ try {
   
   console.log(chalk.green('✓ 配置文件加载成功'));
   console.log(chalk.green('✓ 核心模块加载成功'));
+
+  // 测试规则注册表
+  const { createRegistryFromConfig } = require('../lib/rule-registry.js');
+  const registry = await createRegistryFromConfig(config);
+  const ruleIds = registry.getAll().map(rule => rule.meta.id);
+  if (ruleIds.join(',') !== 'rule1,rule2,rule3,rule4,rule5') {
+    console.error(chalk.red(`❌ 内置规则注册异常: ${ruleIds.join(',')}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 内置规则注册成功'));
+
+  // 测试用的临时项目：files 为 { 相对路径: 内容 }，git 为 true 时初始化仓库并暂存所有文件，用完后调用 remove() 删除
+  const createFixture = (files, { git = false } = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'commit-check-test-'));
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    };
+    const runGit = (...args) => spawnSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir });
+    Object.entries(files).forEach(([file, content]) => write(file, content));
+    if (git) {
+      runGit('init', '-q');
+      runGit('add', '.');
+    }
+    return {
+      dir,
+      write,
+      git: runGit,
+      // 以新增文件的方式检查工作区中的文件
+      lint: options => lint({ cwd: dir, diffProvider: () => '', contentSource: 'worktree', ...options }),
+      // 在该目录中执行命令行，不使用缓存
+      cli: (...args) => spawnSync(process.execPath, [path.join(__dirname, '../bin/pre-commit-check.js'), '--no-cache', ...args], { cwd: dir, encoding: 'utf-8' }),
+      remove: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+  };
+  const readTestFile = file => fs.readFileSync(path.join(__dirname, 'test-files', file), 'utf-8');
+  // 自定义规则模块：在第 1 行报告一个问题，问题描述为规则 id
+  const reportingRule = id => `module.exports = { meta: { id: '${id}', name: '${id}', defaultOptions: { enabled: true } }, check() { return [{ line: 1, message: '${id}' }]; } };\n`;
+  const parseOutput = output => {
+    try {
+      return JSON.parse(output);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // 测试程序化 API（以新增文件的方式检查测试用例）
+  const findings = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['rule2-violation.tsx', 'rule2-pass.tsx'],
+    config,
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  });
+  if (findings.length !== 1 || findings[0].rule !== 'rule2' || findings[0].file !== 'rule2-violation.tsx') {
+    console.error(chalk.red(`❌ lint 返回结果异常: ${JSON.stringify(findings)}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 程序化 API 检查成功'));
+
+  // 指定的文件默认读取工作区文件，尚未暂存的文件同样检查
+  const untracked = createFixture({}, { git: true });
+  untracked.write('page.tsx', readTestFile('rule2-violation.tsx'));
+  const lintUntracked = contentSource => untracked.lint({ files: ['page.tsx'], config, contentSource }).then(result => result.length);
+  const untrackedFindings = [await lintUntracked(), await lintUntracked('index')];
+  untracked.remove();
+  if (untrackedFindings.join(',') !== '1,0') {
+    console.error(chalk.red(`❌ 未暂存的文件检查异常: ${untrackedFindings.join(',')}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 指定的文件默认读取工作区文件'));
+
+  // 测试问题级别
+  const warnFindings = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['rule2-violation.tsx'],
+    config: { ...config, rule2: { ...config.rule2, severity: 'warn' } },
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  });
+  const offFindings = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['rule2-violation.tsx'],
+    config: { ...config, rule2: { ...config.rule2, severity: { missingLoading: 'off' } } },
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  });
+  if (warnFindings.length !== 1 || warnFindings[0].severity !== 'warn' || offFindings.length !== 0) {
+    console.error(chalk.red('❌ 问题级别设置未生效'));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 问题级别设置生效'));
+
+  // 测试行内禁用注释：有原因的注释生效，缺少原因和未使用的注释被报告
+  const suppressionFindings = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['suppression-test.vue'],
+    config,
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  });
+  const summary = suppressionFindings.map(finding => `${finding.rule}:${finding.type}:${finding.line}`).sort().join(',');
+  const expected = 'rule5:missingPlaceholder:6,suppression:missingReason:5,suppression:unused:16';
+  if (summary !== expected) {
+    console.error(chalk.red(`❌ 行内禁用注释处理异常: ${summary}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 行内禁用注释生效'));
+
+  // 测试问题位置与代码片段：rule5 指向 el-select 标签
+  const selectFinding = suppressionFindings.find(finding => finding.rule === 'rule5');
+  const frame = getCodeFrame(fs.readFileSync(path.join(__dirname, 'test-files/suppression-test.vue'), 'utf-8'), selectFinding);
+  const caretRow = frame.find(row => row.marker && row.text.includes('^'));
+  if (`${selectFinding.line}:${selectFinding.column}:${selectFinding.endLine}:${selectFinding.endColumn}` !== '6:5:6:31' ||
+      !caretRow || !caretRow.text.endsWith(`|     ${'^'.repeat(26)}`)) {
+    console.error(chalk.red(`❌ 问题位置或代码片段异常: ${JSON.stringify(selectFinding)}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 问题位置与代码片段正确'));
+
+  // 测试英文文案：问题描述随 locale 切换，位置不变
+  const englishFindings = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['suppression-test.vue'],
+    config,
+    locale: 'en-US',
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  });
+  const englishSelect = englishFindings.find(finding => finding.rule === 'rule5');
+  if (!englishSelect || englishSelect.line !== selectFinding.line ||
+      englishSelect.message !== 'The new form input "el-select" has no placeholder') {
+    console.error(chalk.red(`❌ 英文文案异常: ${JSON.stringify(englishSelect)}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 英文文案生效'));
+
+  // 测试控制台分组：按规则分组时按规则 id 排序，组内按行号排序
+  const groups = groupFindings(suppressionFindings, 'rule').map(group => `${group.key}:${group.findings.map(finding => finding.line).join('/')}`);
+  if (groups.join(',') !== 'rule5:6,suppression:5/16') {
+    console.error(chalk.red(`❌ 问题分组异常: ${groups.join(',')}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 问题分组正确'));
+
+  // 测试配置文件查找：ES 模块项目中的 .js 配置，子目录中的 YAML 配置只对该目录下的文件生效
+  const configFixture = createFixture({
+    'package.json': '{ "type": "module" }\n',
+    'commit-check.config.js': "export default { rule5: { enabled: true }, global: { fileExtensions: ['.vue'] } };\n",
+    'packages/admin/.commitcheckrc.yaml': 'rule5:\n  enabled: false\n',
+    'page.vue': readTestFile('suppression-test.vue'),
+    'packages/admin/page.vue': readTestFile('suppression-test.vue')
+  });
+  const lintConfigDir = configFile => configFixture.lint({ files: ['page.vue', 'packages/admin/page.vue'], configFile });
+  const discovered = (await lintConfigDir()).filter(finding => finding.rule === 'rule5').map(finding => finding.file);
+  const explicit = (await lintConfigDir('packages/admin/.commitcheckrc.yaml')).filter(finding => finding.rule === 'rule5');
+  configFixture.remove();
+  if (discovered.join(',') !== 'page.vue' || explicit.length !== 0) {
+    console.error(chalk.red(`❌ 配置文件查找异常: ${discovered.join(',')} / ${explicit.length}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 配置文件查找正确'));
+
+  // 测试配置校验：拼错的配置项给出完整路径和最接近的合法配置项
+  const invalidConfig = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['rule3-pass.js'],
+    config: { ...config, rule3: { enable: true, customKeywords: { successMethod: [] } }, global: { ...config.global, workers: '2' } },
+    diffProvider: () => '',
+    contentSource: 'worktree',
+    locale: 'en-US'
+  }).catch(error => error);
+  const invalidPaths = (invalidConfig.issues || []).map(issue => `${issue.path}>${issue.suggestion || issue.code}`);
+  if (invalidConfig.code !== 'CONFIG_INVALID' ||
+      invalidPaths.join(',') !== 'rule3.enable>enabled,rule3.customKeywords.successMethod>successMethods,global.workers>invalidType' ||
+      !invalidConfig.message.includes('Did you mean rule3.enabled?')) {
+    console.error(chalk.red(`❌ 配置校验异常: ${invalidConfig.message || invalidConfig}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 配置校验生效'));
+
+  // 测试配置合并：省略的配置项使用默认值，$append 在默认列表之后追加
+  const lintRule5 = rule5 => lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['suppression-test.vue'],
+    config: { rule5 },
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  }).then(result => result.filter(finding => finding.rule === 'rule5').length);
+  const defaultRule5 = await lintRule5({});
+  const appendedRule5 = await lintRule5({ whitelist: { keywords: { $append: ['el-select'] } } });
+  if (defaultRule5 !== 1 || appendedRule5 !== 0) {
+    console.error(chalk.red(`❌ 配置合并异常: ${defaultRule5} / ${appendedRule5}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 配置合并正确'));
+
+  // 测试 extends：预设按顺序合并，后面的预设覆盖前面的（antd-react 不检查 .vue 文件）
+  const lintExtends = presets => lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['suppression-test.vue'],
+    config: { extends: presets },
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  }).then(result => result.filter(finding => finding.rule === 'rule5').length);
+  const reactPreset = await lintExtends('preset:antd-react');
+  const vuePreset = await lintExtends(['preset:antd-react', 'preset:element-ui-vue2']);
+  if (reactPreset !== 0 || vuePreset !== 1) {
+    console.error(chalk.red(`❌ 预设合并异常: ${reactPreset} / ${vuePreset}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 预设合并正确'));
+
+  // 测试 overrides：只对匹配的文件生效，$append 追加到该文件生效的列表之后
+  const lintOverrides = overrides => lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['suppression-test.vue', 'rule4-violation.vue'],
+    config: { overrides },
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  }).then(result => result.filter(finding => finding.rule === 'rule5').length);
+  const unmatchedOverride = await lintOverrides([{ files: 'rule4-*.vue', rule5: { enabled: false } }]);
+  const matchedOverride = await lintOverrides([
+    { files: ['*.vue'], excludedFiles: 'rule4-*.vue', rule5: { whitelist: { keywords: { $append: ['el-select'] } } } }
+  ]);
+  // 修改的文件：overrides 中追加的输入组件出现在新增行上时同样检查
+  const overrideFixture = createFixture({ 'h5/page.vue': '<template>\n  <div>\n    <van-field v-model="name"></van-field>\n  </div>\n</template>\n' });
+  const modifiedOverride = (await overrideFixture.lint({
+    files: ['h5/page.vue'],
+    config: { overrides: [{ files: 'h5/**', rule5: { customKeywords: { inputComponents: { $append: ['van-field'] } } } }] },
+    diffProvider: () => 'diff --git a/h5/page.vue b/h5/page.vue\n--- a/h5/page.vue\n+++ b/h5/page.vue\n@@ -2,2 +2,3 @@\n   <div>\n+    <van-field v-model="name"></van-field>\n   </div>'
+  })).map(finding => `${finding.rule}:${finding.line}`).join(',');
+  overrideFixture.remove();
+  if (unmatchedOverride !== 1 || matchedOverride !== 0 || modifiedOverride !== 'rule5:3') {
+    console.error(chalk.red(`❌ overrides 合并异常: ${unmatchedOverride} / ${matchedOverride} / ${modifiedOverride}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ overrides 按文件生效'));
+
+  // 测试 extends：共享配置与本地配置的 customRules、overrides 拼接，而不是被本地配置替换
+  const sharedFixture = createFixture({
+    'team-rule.js': reportingRule('teamRule'),
+    'local-rule.js': reportingRule('localRule'),
+    'shared.js': "module.exports = { customRules: ['./team-rule.js'], teamRule: { severity: 'warn' }, overrides: [{ files: 'a.js', teamRule: { enabled: false } }] };\n",
+    'commit-check.config.js': "module.exports = { extends: './shared.js', customRules: ['./local-rule.js'], overrides: [{ files: 'b.js', localRule: { enabled: false } }], global: { fileExtensions: ['.js'] } };\n",
+    'a.js': 'const a = 1;\n',
+    'b.js': 'const b = 1;\n'
+  });
+  const sharedFindings = await sharedFixture.lint({ files: ['a.js', 'b.js'] })
+    .then(result => result.map(finding => `${finding.file}:${finding.rule}`).sort().join(','), error => error.message);
+  sharedFixture.remove();
+  if (sharedFindings !== 'a.js:localRule,b.js:teamRule') {
+    console.error(chalk.red(`❌ extends 拼接 customRules/overrides 异常: ${sharedFindings}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ extends 拼接 customRules 与 overrides'));
+
+  // 测试 ES 模块的自定义规则：.mjs 的默认导出，"type": "module" 项目中 .js 的具名导出
+  const esmFixture = createFixture({
+    'package.json': '{ "type": "module" }\n',
+    'default-rule.mjs': "export default { meta: { id: 'esmDefault', name: 'esmDefault', defaultOptions: { enabled: true } }, check() { return [{ line: 1, message: 'default' }]; } };\n",
+    'named-rule.js': "export const rules = [{ meta: { id: 'esmNamed', name: 'esmNamed', defaultOptions: { enabled: true } }, check() { return [{ line: 1, message: 'named' }]; } }];\n",
+    'index.js': 'const a = 1;\n'
+  });
+  const esmFindings = await esmFixture.lint({
+    files: ['index.js'],
+    config: { customRules: ['./default-rule.mjs', './named-rule.js'], global: { fileExtensions: ['.js'] } }
+  }).then(result => result.map(finding => finding.rule).join(','), error => error.message);
+  esmFixture.remove();
+  if (esmFindings !== 'esmDefault,esmNamed') {
+    console.error(chalk.red(`❌ ES 模块自定义规则加载异常: ${esmFindings}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ ES 模块自定义规则加载成功'));
+
+  // 测试 diff 解析：修改文件只检查新增行（包含不带行数的 hunk 头），并可只报告新增行上的问题
+  const changedLineFindings = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['suppression-test.vue'],
+    config,
+    diffProvider: () => 'diff --git a/suppression-test.vue b/suppression-test.vue\n--- a/suppression-test.vue\n+++ b/suppression-test.vue\n@@ -6 +6 @@\n-    <el-select></el-select>\n+    <el-select v-model="type"></el-select>',
+    contentSource: 'worktree',
+    onlyChangedLines: true
+  });
+  const changedLineSummary = changedLineFindings.map(finding => `${finding.rule}:${finding.line}`).join(',');
+  if (changedLineSummary !== 'rule5:6') {
+    console.error(chalk.red(`❌ 新增行范围解析异常: ${changedLineSummary}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 新增行范围解析成功'));
+
+  // 测试多层防抖/节流：任一层的延迟不小于 500ms 即视为有保护
+  const debounceFindings = (await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['rule1-debounce.jsx'],
+    config,
+    diffProvider: () => '',
+    contentSource: 'worktree'
+  })).filter(finding => finding.rule === 'rule1');
+  const debounceSummary = debounceFindings.map(finding => `${finding.type}:${finding.line}:${finding.message.includes('200ms')}`).join(',');
+  if (debounceSummary !== 'debounceDelay:31:true') {
+    console.error(chalk.red(`❌ 多层防抖/节流检查异常: ${debounceSummary}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 多层防抖/节流检查正确'));
+
+  // 测试并行检查：多线程检查结果与单线程一致
+  const fixtureFiles = fs.readdirSync(path.join(__dirname, 'test-files')).sort();
+  const lintFixtures = workers => lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: fixtureFiles,
+    config,
+    diffProvider: () => '',
+    contentSource: 'worktree',
+    workers
+  });
+  const serialFindings = await lintFixtures(1);
+  const parallelFindings = await lintFixtures(2);
+  if (serialFindings.length === 0 || JSON.stringify(serialFindings) !== JSON.stringify(parallelFindings)) {
+    console.error(chalk.red('❌ 并行检查结果与单线程不一致'));
+    process.exit(1);
+  }
+
+  // 确认并行检查确实在 worker 线程中执行，而不是退回到了当前线程
+  const threadFixture = createFixture({
+    'thread-rule.js': "const { isMainThread } = require('worker_threads');\nmodule.exports = { meta: { id: 'thread', name: '检查所在线程', defaultOptions: { enabled: true } }, check() { return [{ line: 1, message: isMainThread ? 'main' : 'worker' }]; } };\n"
+  });
+  const threadFindings = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: fixtureFiles,
+    config: { ...config, customRules: [path.join(threadFixture.dir, 'thread-rule.js')] },
+    diffProvider: () => '',
+    contentSource: 'worktree',
+    workers: 2
+  });
+  threadFixture.remove();
+  const threads = [...new Set(threadFindings.filter(finding => finding.rule === 'thread').map(finding => finding.message))];
+  if (threads.join(',') !== 'worker') {
+    console.error(chalk.red(`❌ 并行检查未使用 worker 线程: ${threads.join(',')}`));
+    process.exit(1);
+  }
+
+  // worker 线程出错（非序列化问题）时不退回当前线程，作为内部错误报告
+  const poolFixture = createFixture({
+    'commit-check.config.js': "module.exports = { customRules: ['./worker-only-rule.js'], global: { fileExtensions: ['.js'] } };\n",
+    'worker-only-rule.js': "if (!require('worker_threads').isMainThread) throw new Error('worker');\nmodule.exports = { meta: { id: 'workerOnly', name: '只能在主线程加载的规则', defaultOptions: { enabled: true } }, check() { return null; } };\n",
+    ...Object.fromEntries(Array.from({ length: 10 }, (_, index) => [`file${index}.js`, 'const a = 1;\n']))
+  }, { git: true });
+  const poolExitCode = poolFixture.cli('--workers', '2', '--fail-on-internal-error').status;
+  poolFixture.remove();
+  if (poolExitCode !== 3) {
+    console.error(chalk.red(`❌ worker 线程出错时退出码异常: ${poolExitCode}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 并行检查结果一致'));
+
+  // 测试结果缓存：第二次检查读取缓存，结果与首次一致
+  const cacheLocation = path.join(os.tmpdir(), `commit-check-cache-${process.pid}`);
+  const lintWithCache = () => lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: fixtureFiles,
+    config,
+    diffProvider: () => '',
+    contentSource: 'worktree',
+    workers: 1,
+    cache: true,
+    cacheLocation
+  });
+  await lintWithCache();
+  const cachedFindings = await lintWithCache();
+  fs.rmSync(cacheLocation, { recursive: true, force: true });
+  if (JSON.stringify(cachedFindings) !== JSON.stringify(serialFindings)) {
+    console.error(chalk.red('❌ 缓存的检查结果与实际检查不一致'));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 结果缓存生效'));
+
+  // 测试缓存失效：规则读取的其他文件或自定义规则引用的文件变化后重新检查
+  const dependencyFixture = createFixture({
+    'index.js': 'const a = 1;\n',
+    'flag.txt': 'off',
+    'helper.js': "module.exports = () => '依赖文件已开启';\n",
+    'dependency-rule.js': [
+      "const path = require('path');",
+      "const getMessage = require('./helper');",
+      "module.exports = { meta: { id: 'dependency', name: '读取其他文件的规则', defaultOptions: { enabled: true } }, check(context) {",
+      "  return context.files.read(path.join(context.cwd, 'flag.txt')) === 'on' ? [{ line: 1, message: getMessage() }] : null;",
+      '} };',
+      ''
+    ].join('\n')
+  });
+  const dependencyConfig = { customRules: ['./dependency-rule.js'], global: { fileExtensions: ['.js'] } };
+  const lintDependency = () => dependencyFixture.lint({ files: ['index.js'], config: dependencyConfig, workers: 1, cache: true, cacheLocation: '.cache' });
+  const dependencyRuns = [(await lintDependency()).length];
+  dependencyFixture.write('flag.txt', 'on');
+  dependencyRuns.push((await lintDependency()).length);
+
+  const { getConfigHash } = require('../lib/cache.js');
+  const getDependencyConfigHash = async () => getConfigHash(dependencyConfig, await createRegistryFromConfig(dependencyConfig, dependencyFixture.dir), 'zh-CN');
+  const helperHash = await getDependencyConfigHash();
+  dependencyFixture.write('helper.js', "module.exports = () => '依赖文件已修改';\n");
+  const helperChanged = (await getDependencyConfigHash()) !== helperHash;
+  dependencyFixture.remove();
+  if (dependencyRuns.join(',') !== '0,1' || !helperChanged) {
+    console.error(chalk.red(`❌ 依赖文件变化后缓存未失效: ${dependencyRuns.join(',')} ${helperChanged}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 依赖文件变化后缓存失效'));
+
+  // 测试暂存区模式：declareRequest 定义所在的文件同样读取暂存区中的版本
+  const indexFixture = createFixture({
+    'ListPage.tsx': [
+    "import React, { useEffect } from 'react';",
+    "import { Spin } from 'antd';",
+    '',
+    'export default function ListPage(props) {',
+    '  const { listLoading } = props.global;',
+    '  useEffect(() => {',
+    '    props.GetListAction();',
+    '  }, []);',
+    '',
+    '  return <Spin spinning={listLoading}><h1>列表页</h1></Spin>;',
+    '}',
+    ''
+  ].join('\n'),
+    'api.js': "export const GetListAction = declareRequest('listLoading', 'GET /api/list');\n"
+  }, { git: true });
+  // 工作区中未暂存的修改改变了 loading 名称
+  indexFixture.write('api.js', "export const GetListAction = declareRequest('otherLoading', 'GET /api/list');\n");
+  const lintIndexDir = (contentSource, cache = false) => indexFixture.lint({ files: ['ListPage.tsx'], config, contentSource, cache, cacheLocation: '.cache' })
+    .then(result => result.filter(finding => finding.rule === 'rule2').length);
+  const indexRule2 = [await lintIndexDir('index'), await lintIndexDir('worktree')];
+  // 缓存按暂存区中的版本校验依赖：未暂存的修改不使缓存失效，暂存后重新检查
+  indexRule2.push(await lintIndexDir('index', true), await lintIndexDir('index', true));
+  indexFixture.git('add', 'api.js');
+  indexRule2.push(await lintIndexDir('index', true));
+  indexFixture.remove();
+  if (indexRule2.join(',') !== '0,1,0,0,1') {
+    console.error(chalk.red(`❌ 暂存区模式读取依赖文件异常: ${indexRule2.join(',')}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 暂存区模式读取依赖文件的暂存版本'));
+
+  // 测试 JSON / SARIF 输出格式（通过命令行检查仓库中的测试用例文件）
+  const runCli = (...args) => spawnSync(process.execPath, [
+    path.join(__dirname, '../bin/pre-commit-check.js'),
+    '--files', 'test/test-files/rule2-*.tsx',
+    '--no-cache',
+    ...args
+  ], { cwd: path.join(__dirname, '..'), encoding: 'utf-8' });
+
+  const jsonCli = runCli('--format', 'json');
+  const report = parseOutput(jsonCli.stdout);
+  if (!report || report.schemaVersion !== 1 || report.files.length !== 2 || report.findings.length !== 1 ||
+    report.summary.passed || jsonCli.status !== 1) {
+    console.error(chalk.red(`❌ JSON 输出格式异常: ${jsonCli.stdout || jsonCli.stderr}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ JSON 输出格式正确'));
+
+  // 测试文件统计：每个文件只计入检查、跳过、解析失败之一，JSON 与控制台汇总一致
+  const countFixture = createFixture({ 'ok.js': 'const a = 1;\n', 'broken.js': 'const = ;\n', 'notes.md': '# notes\n' }, { git: true });
+  const countReport = parseOutput(countFixture.cli('--format', 'json').stdout) || { summary: {}, files: [] };
+  const countConsole = countFixture.cli('--group-by', 'rule', '--locale', 'en-US').stdout;
+  countFixture.remove();
+  const { files: checkedCount, skipped: skippedCount, parseErrors: parseErrorCount } = countReport.summary;
+  if (`${checkedCount}/${skippedCount}/${parseErrorCount}` !== '1/1/1' || countReport.files.join(',') !== 'ok.js' ||
+      !countConsole.includes('1 checked, 1 skipped, 1 failed to parse')) {
+    console.error(chalk.red(`❌ 文件统计异常: ${JSON.stringify(countReport.summary)} ${countConsole}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 文件统计不重复计数'));
+
+  const sarifCli = runCli('--format', 'sarif');
+  const sarif = parseOutput(sarifCli.stdout);
+  const sarifRun = sarif && sarif.runs[0];
+  if (!sarifRun || sarif.version !== '2.1.0' || sarifRun.results.length !== 1 ||
+    sarifRun.tool.driver.rules[sarifRun.results[0].ruleIndex].id !== 'rule2') {
+    console.error(chalk.red(`❌ SARIF 输出格式异常: ${sarifCli.stdout || sarifCli.stderr}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ SARIF 输出格式正确'));
+
+  const outputFile = path.join(os.tmpdir(), `commit-check-junit-${process.pid}.xml`);
+  runCli('--format', 'junit', '--output-file', outputFile);
+  const junit = fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf-8') : '';
+  fs.rmSync(outputFile, { force: true });
+  if (!junit.includes('<testsuite name="rule2') || (junit.match(/<failure /g) || []).length !== 1) {
+    console.error(chalk.red(`❌ JUnit 输出格式异常: ${junit}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ JUnit 输出文件正确'));
+
+  // 测试 XML 输出格式的结构与转义：同一文件、同一规则的多个问题
+  const { getFormatter } = require('../lib/formatters');
+  const xmlFile = 'src/a<b>&.js';
+  const xmlResult = {
+    locale: 'zh-CN',
+    files: [xmlFile],
+    skipped: [],
+    timing: { durationMs: 0, files: {} },
+    registry,
+    findings: [
+      { rule: 'rule3', type: 'missingSuccessTip', file: xmlFile, line: 1, column: 2, message: '问题 "一" <x>', suggestion: '', severity: 'error' },
+      { rule: 'rule3', type: 'missingSuccessTip', file: xmlFile, line: 5, column: null, message: "问题 '二' & 三", suggestion: '修复', severity: 'error' },
+      { rule: 'rule3', type: 'missingSuccessTip', file: xmlFile, line: 9, column: null, message: '问题四', suggestion: '', severity: 'warn' }
+    ]
+  };
+  const junitXml = getFormatter('junit')(xmlResult, { toolName: 'pre-commit-check' });
+  const rule3Suite = junitXml.split('<testsuite ').find(suite => suite.startsWith('name="rule3')) || '';
+  if ((rule3Suite.match(/<failure /g) || []).length !== 1 || !rule3Suite.includes('failures="1"') ||
+      !rule3Suite.includes('message="问题 &quot;一&quot; &lt;x&gt;; 问题 &apos;二&apos; &amp; 三"') ||
+      !rule3Suite.includes('<system-out>') || !junitXml.includes('name="src/a&lt;b&gt;&amp;.js"')) {
+    console.error(chalk.red(`❌ JUnit 同一文件多个问题的输出异常: ${junitXml}`));
+    process.exit(1);
+  }
+
+  const checkstyleXml = getFormatter('checkstyle')(xmlResult).split('\n');
+  const expectedCheckstyle = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<checkstyle version="4.3">',
+    '  <file name="src/a&lt;b&gt;&amp;.js">',
+    '    <error line="1" column="2" severity="error" message="问题 &quot;一&quot; &lt;x&gt;" source="pre-commit-check.rule3.missingSuccessTip"/>',
+    '    <error line="5" severity="error" message="问题 &apos;二&apos; &amp; 三（修复建议：修复）" source="pre-commit-check.rule3.missingSuccessTip"/>',
+    '    <error line="9" severity="warning" message="问题四" source="pre-commit-check.rule3.missingSuccessTip"/>',
+    '  </file>',
+    '</checkstyle>'
+  ];
+  if (checkstyleXml.join('\n') !== expectedCheckstyle.join('\n')) {
+    console.error(chalk.red(`❌ Checkstyle 输出格式异常: ${checkstyleXml.join('\n')}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ JUnit / Checkstyle 的 XML 结构与转义正确'));
+
+  const htmlFile = path.join(os.tmpdir(), `commit-check-report-${process.pid}.html`);
+  runCli('--format', 'html', '--output-file', htmlFile);
+  const html = fs.existsSync(htmlFile) ? fs.readFileSync(htmlFile, 'utf-8') : '';
+  fs.rmSync(htmlFile, { force: true });
+  if (!html.includes('data-rule="rule2"') || !html.includes('class="hl"') || /(src|href)="https?:/.test(html)) {
+    console.error(chalk.red('❌ HTML 报告格式异常'));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ HTML 报告正确'));
+
+  const markdown = runCli('--format', 'markdown', '--link-template', 'https://git.example/{repo}/blob/{sha}/{path}#L{line}').stdout;
+  if (!markdown.startsWith('**') || !markdown.split('\n')[0].includes('❌') ||
+      !/\[test\/test-files\/rule2-violation\.tsx:7\]\(https:\/\/git\.example\/.*\/blob\/[0-9a-f]{40}\/test\/test-files\/rule2-violation\.tsx#L7\)/.test(markdown) ||
+      !markdown.includes('<details>')) {
+    console.error(chalk.red(`❌ Markdown 输出格式异常: ${markdown}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ Markdown 输出格式正确'));
+
+  // 测试退出码：参数错误（取值无效、未知参数）为 2；规则执行出错默认不阻止提交，指定 --fail-on-internal-error 时为 3
+  const crashFixture = createFixture({
+    'commit-check.config.js': "module.exports = { customRules: ['./crash-rule.js'], global: { fileExtensions: ['.js'] } };\n",
+    'crash-rule.js': "module.exports = { meta: { id: 'crash', name: '执行出错的规则', defaultOptions: { enabled: true } }, check() { throw new Error('crash'); } };\n",
+    'ok-rule.js': reportingRule('ok'),
+    'index.js': 'const a = 1;\n'
+  }, { git: true });
+  const exitCodes = [
+    runCli('--format', 'unknown').status,
+    runCli('--quite').status,
+    runCli('--workers', '0').status,
+    runCli('--workers=two').status,
+    crashFixture.cli().status,
+    crashFixture.cli('--fail-on-internal-error').status
+  ];
+  // 一条规则出错时，同一文件的其他规则仍然执行
+  const afterCrash = (await crashFixture.lint({
+    files: ['index.js'],
+    config: { customRules: ['./crash-rule.js', './ok-rule.js'], global: { fileExtensions: ['.js'] } }
+  })).map(finding => finding.rule).join(',');
+  crashFixture.remove();
+  if (exitCodes.join(',') !== '2,2,2,2,0,3' || afterCrash !== 'ok') {
+    console.error(chalk.red(`❌ 退出码异常: ${exitCodes.join(',')} / ${afterCrash}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 退出码正确'));
+
+  // 测试检查目标：from...to 只检查范围内变更的文件，--all 检查所有已跟踪的文件，版本不存在时退出码为 2
+  const rangeFixture = createFixture({
+    'commit-check.config.json': '{ "global": { "fileExtensions": [".js"] } }\n',
+    'a.js': 'const a = 1;\n',
+    'b.js': 'const b = 1;\n'
+  }, { git: true });
+  rangeFixture.git('commit', '-q', '-m', 'first');
+  rangeFixture.write('b.js', 'const b = 2;\n');
+  rangeFixture.write('c.js', 'const c = 1;\n');
+  rangeFixture.git('add', '.');
+  rangeFixture.git('commit', '-q', '-m', 'second');
+  const getCheckedFiles = (...args) => (parseOutput(rangeFixture.cli('--format', 'json', ...args).stdout) || { files: [] }).files.join(',');
+  const rangeFiles = getCheckedFiles('--from', 'HEAD~1', '--to', 'HEAD');
+  const allFiles = getCheckedFiles('--all');
+  const unknownRef = rangeFixture.cli('--format', 'json', '--from', 'no-such-ref').status;
+  rangeFixture.remove();
+  if (rangeFiles !== 'b.js,c.js' || allFiles !== 'a.js,b.js,c.js' || unknownRef !== 2) {
+    console.error(chalk.red(`❌ 检查目标异常: ${rangeFiles} / ${allFiles} / ${unknownRef}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 提交范围与全部文件的检查目标正确'));
+
+  // 测试英文错误提示：参数、配置文件、自定义规则出错时不输出中文
+  const brokenFixture = createFixture({ 'commit-check.config.js': "module.exports = { customRules: ['./missing-rule.js'] };\n" });
+  const errorOutputs = [
+    runCli('--locale', 'en-US', '--format'),
+    runCli('--locale', 'en-US', '--config', 'missing.config.js'),
+    runCli('--locale', 'en-US', '--config', path.join(brokenFixture.dir, 'commit-check.config.js'))
+  ];
+  brokenFixture.remove();
+  const untranslated = errorOutputs.find(output => output.status !== 2 || !output.stderr || /\p{Script=Han}/u.test(output.stderr));
+  if (untranslated) {
+    console.error(chalk.red(`❌ 英文错误提示异常: ${untranslated.status} ${untranslated.stderr}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 英文错误提示不含中文'));
+
+  // 测试环境变量识别语言：C / POSIX 不表示具体语言，继续使用下一个环境变量
+  const { detectLocale } = require('../lib/i18n.js');
+  const detected = [
+    detectLocale({ LC_ALL: 'C', LANG: 'en_US.UTF-8' }),
+    detectLocale({ LC_ALL: 'C.UTF-8', LC_MESSAGES: 'POSIX', LANG: 'en_US.UTF-8' }),
+    detectLocale({ LC_ALL: 'zh_CN.UTF-8', LANG: 'en_US.UTF-8' }),
+    detectLocale({ LC_ALL: 'POSIX' })
+  ];
+  if (detected.join(',') !== 'en-US,en-US,zh-CN,') {
+    console.error(chalk.red(`❌ 环境变量识别语言异常: ${detected.join(',')}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 环境变量识别语言时跳过 C / POSIX'));
+
+  // 测试 GitLab 指纹：在问题上方插入代码后指纹不变
+  const original = readTestFile('suppression-test.vue');
+  const shiftFixture = createFixture({ 'original.vue': original, 'shifted.vue': original.replace('<div>', '<div>\n    <p>新增一行</p>') });
+  const formatGitlab = require('../lib/formatters/gitlab.js');
+  const gitlabFingerprints = async file => {
+    const shiftFindings = await shiftFixture.lint({ files: [file], config });
+    const issues = JSON.parse(formatGitlab({ findings: shiftFindings.map(finding => ({ ...finding, file: 'page.vue' })) }));
+    return issues.map(issue => `${issue.check_name}:${issue.fingerprint}`).join(',');
+  };
+  const originalFingerprints = await gitlabFingerprints('original.vue');
+  const shiftedFingerprints = await gitlabFingerprints('shifted.vue');
+  shiftFixture.remove();
+  if (!originalFingerprints || originalFingerprints !== shiftedFingerprints) {
+    console.error(chalk.red(`❌ GitLab 指纹随行号变化: ${originalFingerprints} / ${shiftedFingerprints}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ GitLab 指纹不受行号变化影响'));
+
+  // 测试基线：基线中记录的问题不再报告
+  const { writeBaseline } = require('../lib/baseline.js');
+  const baselinePath = path.join(os.tmpdir(), `commit-check-baseline-${process.pid}.json`);
+  writeBaseline(baselinePath, findings);
+  const baselineFindings = await lint({
+    cwd: path.join(__dirname, 'test-files'),
+    files: ['rule2-violation.tsx'],
+    config,
+    diffProvider: () => '',
+    contentSource: 'worktree',
+    baseline: baselinePath
+  });
+  fs.unlinkSync(baselinePath);
+  if (baselineFindings.length !== 0) {
+    console.error(chalk.red(`❌ 基线过滤异常: ${JSON.stringify(baselineFindings)}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ 基线过滤生效'));
+
+  // 测试 baseline 子命令：写入当前所有问题，之后的检查通过
+  const baselineFixture = createFixture({ 'page.tsx': readTestFile('rule2-violation.tsx') }, { git: true });
+  const baselineExitCodes = [baselineFixture.cli('--all').status, baselineFixture.cli('baseline').status];
+  const baselineFile = path.join(baselineFixture.dir, 'commit-check-baseline.json');
+  const baselineEntries = fs.existsSync(baselineFile)
+    ? JSON.parse(fs.readFileSync(baselineFile, 'utf-8')).entries.map(entry => `${entry.file}:${entry.rule}:${entry.count}`).join(',')
+    : '';
+  baselineExitCodes.push(baselineFixture.cli('--all').status);
+  baselineFixture.remove();
+  if (baselineExitCodes.join(',') !== '1,0,0' || baselineEntries !== 'page.tsx:rule2:1') {
+    console.error(chalk.red(`❌ baseline 子命令异常: ${baselineExitCodes.join(',')} / ${baselineEntries}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ baseline 子命令写入基线后检查通过'));
+
   console.log(chalk.blue('\n💡 提示：完整测试需要通过 git commit 触发\n'));
   
   console.log(chalk.green('✅ 基本测试通过\n'));
   process.exit(0);
-} catch (error) {
-  console.error(chalk.red('❌ 测试失败:'), error.message);
-  process.exit(1);
 }
 
+main().catch(error => {
+  console.error(chalk.red('❌ 测试失败:'), error.message);
+  process.exit(1);
+});